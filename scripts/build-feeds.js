@@ -0,0 +1,420 @@
+/* ============================================
+   build-feeds.js
+   Generates the subscription feeds for OceanRiches:
+   feed.xml (Atom), rss.xml (RSS 2.0) and feed.json (JSON Feed 1.1).
+   ============================================
+
+   USAGE (from the project root, Node 18+, no dependencies):
+     SITE_URL=https://example.com/OceanRiches/ node scripts/build-feeds.js
+
+   SITE_URL IS REQUIRED:
+   Feed ids, item links and rel="self" must be the deployed site's
+   addresses; a default (e.g. localhost) would give subscribers dead
+   links. The output is not committed: build it where the site is deployed.
+
+   SOURCE:
+   The tarot cards in index.html are built by script.js from articles.json,
+   so the feeds read the same records instead of scraping rendered markup.
+   Every feed item carries title, author, ISO date, category, tags,
+   excerpt and the full HTML body (read from the story's bodyUrl file,
+   e.g. articles/moon-measure.html).
+
+   FAILS LOUDLY:
+   Any story missing required metadata stops the build with a list of
+   every problem (exit code 1) and no feed files are written.
+
+   SHARED:
+   scripts/build-stories.js reuses the loading, validation and URL
+   helpers (exported below), so both builds agree on what a valid story is.
+
+   TABLE OF CONTENTS:
+
+   1. CONFIGURATION
+   2. LOADING + VALIDATION
+      - checkSiteUrl() - Throws unless SITE_URL is an absolute http(s) URL
+      - loadArticles() - Reads articles.json
+      - validateArticles() - Throws on missing/invalid metadata
+      - loadBodies() - Reads each story's body file
+   3. HELPERS
+      - escapeXml() - Escapes text for XML
+      - wrapCdata() - Wraps HTML in CDATA (splitting any "]]>")
+      - storyUrl() / absoluteUrl() - Absolute links for feed readers
+      - toIsoDateTime() - YYYY-MM-DD → RFC 3339 timestamp
+   4. FEED BUILDERS
+      - buildAtom() - feed.xml
+      - buildRss() - rss.xml
+      - buildJsonFeed() - feed.json
+   5. MAIN
+      - main() - Runs only when this file is executed, not when required
+
+   ============================================ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// ============================================
+// 1) CONFIGURATION
+// ============================================
+const ROOT = path.resolve(__dirname, "..");
+
+const CONFIG = {
+  SITE_URL: process.env.SITE_URL ? withTrailingSlash(process.env.SITE_URL.trim()) : "",  // No default: see header
+  TITLE: "Ocean Riches",
+  DESCRIPTION: "Satirical news from the realms: breaking magic, cosmic emergencies and tavern gossip.",
+  LANGUAGE: "en",
+  STORY_PARAM: "story",             // Matches CONFIG.STORY_PARAM in script.js
+  ARTICLES_FILE: "articles.json",
+  OUTPUT: {
+    atom: "feed.xml",
+    rss: "rss.xml",
+    json: "feed.json",
+  },
+  REQUIRED_FIELDS: ["id", "slug", "title", "author", "date", "category", "excerpt", "bodyUrl"],
+};
+
+// ============================================
+// 2) LOADING + VALIDATION
+// ============================================
+
+/**
+ * Checks that SITE_URL was given and is an absolute http(s) URL.
+ *
+ * @throws {Error} If SITE_URL is missing or not usable as a base URL
+ */
+function checkSiteUrl() {
+  if (!CONFIG.SITE_URL) {
+    throw new Error("SITE_URL is not set (e.g. SITE_URL=https://example.com/OceanRiches/)");
+  }
+
+  let url = null;
+  try {
+    url = new URL(CONFIG.SITE_URL);
+  } catch (error) {
+    // Reported below
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol)) {
+    throw new Error(`SITE_URL must be an absolute http(s) URL (got "${CONFIG.SITE_URL}")`);
+  }
+}
+
+/**
+ * Reads the story records from articles.json.
+ *
+ * @returns {Object[]} Article records in file order
+ */
+function loadArticles() {
+  const file = path.join(ROOT, CONFIG.ARTICLES_FILE);
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(data.articles)) {
+    throw new Error(`${CONFIG.ARTICLES_FILE} has no "articles" array`);
+  }
+  return data.articles;
+}
+
+/**
+ * Checks every story for the metadata the feeds need.
+ * Collects all problems first so one run reports everything.
+ *
+ * RULES:
+ * - CONFIG.REQUIRED_FIELDS must be present and non-empty
+ * - date must be a real YYYY-MM-DD date
+ * - tags must be an array of non-empty strings (may be empty)
+ * - slugs must be unique (they become the feed item ids)
+ * - bodyUrl must point at an existing file
+ *
+ * @param {Object[]} articles - Article records
+ * @throws {Error} Listing every problem found
+ */
+function validateArticles(articles) {
+  const problems = [];
+  const slugs = new Set();
+
+  articles.forEach((article, index) => {
+    const label = `Story #${index + 1}${article && article.slug ? ` (${article.slug})` : ""}`;
+
+    CONFIG.REQUIRED_FIELDS.forEach((field) => {
+      const value = article[field];
+      if (value === undefined || value === null || String(value).trim() === "") {
+        problems.push(`${label}: missing "${field}"`);
+      }
+    });
+
+    if (article.date) {
+      const isIsoDate = /^\d{4}-\d{2}-\d{2}$/.test(article.date);
+      const parsed = new Date(`${article.date}T00:00:00Z`);
+      if (!isIsoDate || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== article.date) {
+        problems.push(`${label}: "date" must be a real YYYY-MM-DD date (got "${article.date}")`);
+      }
+    }
+
+    if (!Array.isArray(article.tags) || article.tags.some((tag) => typeof tag !== "string" || !tag.trim())) {
+      problems.push(`${label}: "tags" must be an array of non-empty strings`);
+    }
+
+    if (article.bodyUrl && !fs.existsSync(path.join(ROOT, article.bodyUrl))) {
+      problems.push(`${label}: body file "${article.bodyUrl}" not found`);
+    }
+
+    if (article.slug) {
+      if (slugs.has(article.slug)) problems.push(`${label}: duplicate slug "${article.slug}"`);
+      slugs.add(article.slug);
+    }
+  });
+
+  if (problems.length) {
+    throw new Error(`${CONFIG.ARTICLES_FILE} is missing feed metadata:\n  - ${problems.join("\n  - ")}`);
+  }
+}
+
+/**
+ * Adds each story's full HTML body (from its bodyUrl file).
+ *
+ * @param {Object[]} articles - Validated article records
+ * @returns {Object[]} Copies of the records with a body field
+ */
+function loadBodies(articles) {
+  return articles.map((article) => ({
+    ...article,
+    body: fs.readFileSync(path.join(ROOT, article.bodyUrl), "utf8").trim(),
+  }));
+}
+
+// ============================================
+// 3) HELPERS
+// ============================================
+
+/**
+ * Ensures a base URL ends in "/" so relative paths resolve inside it.
+ *
+ * @param {string} url - Site URL
+ * @returns {string} URL ending in "/"
+ */
+function withTrailingSlash(url) {
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+/**
+ * Escapes the five XML special characters.
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Text safe inside XML elements and attributes
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Wraps HTML in a CDATA section.
+ * A literal "]]>" would end the section early, so it is split across two.
+ *
+ * @param {string} html - Story body
+ * @returns {string} CDATA section
+ */
+function wrapCdata(html) {
+  return `<![CDATA[${String(html).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+/**
+ * Resolves a site-relative path (e.g. an article image) against SITE_URL.
+ *
+ * @param {string} relativePath - Path relative to index.html
+ * @returns {string} Absolute URL
+ */
+function absoluteUrl(relativePath) {
+  return new URL(relativePath, CONFIG.SITE_URL).href;
+}
+
+/**
+ * The story's shareable link (same ?story= URL the page uses).
+ *
+ * @param {Object} article - Article record
+ * @returns {string} Absolute story URL
+ */
+function storyUrl(article) {
+  const url = new URL(CONFIG.SITE_URL);
+  url.searchParams.set(CONFIG.STORY_PARAM, article.slug);
+  return url.href;
+}
+
+/**
+ * Turns a YYYY-MM-DD date into an RFC 3339 timestamp (midnight UTC).
+ *
+ * @param {string} isoDate - Date from the feed
+ * @returns {string} e.g. "2026-01-08T00:00:00.000Z"
+ */
+function toIsoDateTime(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).toISOString();
+}
+
+// ============================================
+// 4) FEED BUILDERS
+// ============================================
+// Each builder takes stories newest first and returns the file contents.
+
+/**
+ * Builds the Atom feed (feed.xml).
+ * Category and tags are both <category> terms; the category comes first
+ * and carries a "Category:" label so readers can tell them apart.
+ *
+ * @param {Object[]} articles - Validated stories, newest first
+ * @returns {string} Atom XML
+ */
+function buildAtom(articles) {
+  const updated = articles.length ? toIsoDateTime(articles[0].date) : new Date().toISOString();
+
+  const entries = articles.map((article) => `  <entry>
+    <id>${escapeXml(storyUrl(article))}</id>
+    <title>${escapeXml(article.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(storyUrl(article))}"/>
+    <published>${toIsoDateTime(article.date)}</published>
+    <updated>${toIsoDateTime(article.date)}</updated>
+    <author><name>${escapeXml(article.author)}</name></author>
+    <category term="${escapeXml(article.category)}" label="Category: ${escapeXml(article.category)}"/>
+${article.tags.map((tag) => `    <category term="${escapeXml(tag)}"/>`).join("\n")}
+    <summary>${escapeXml(article.excerpt)}</summary>
+    <content type="html">${escapeXml(article.body)}</content>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${CONFIG.LANGUAGE}">
+  <id>${escapeXml(CONFIG.SITE_URL)}</id>
+  <title>${escapeXml(CONFIG.TITLE)}</title>
+  <subtitle>${escapeXml(CONFIG.DESCRIPTION)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(CONFIG.SITE_URL)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(absoluteUrl(CONFIG.OUTPUT.atom))}"/>
+  <updated>${updated}</updated>
+  <icon>${escapeXml(absoluteUrl("favicon-96x96.png"))}</icon>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+/**
+ * Builds the RSS 2.0 feed (rss.xml).
+ * RSS <author> must be an email address, so the writer's name goes in
+ * <dc:creator>; the full body goes in <content:encoded>.
+ *
+ * @param {Object[]} articles - Validated stories, newest first
+ * @returns {string} RSS XML
+ */
+function buildRss(articles) {
+  const lastBuild = articles.length
+    ? new Date(`${articles[0].date}T00:00:00Z`).toUTCString()
+    : new Date().toUTCString();
+
+  const items = articles.map((article) => `    <item>
+      <title>${escapeXml(article.title)}</title>
+      <link>${escapeXml(storyUrl(article))}</link>
+      <guid isPermaLink="true">${escapeXml(storyUrl(article))}</guid>
+      <pubDate>${new Date(`${article.date}T00:00:00Z`).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(article.author)}</dc:creator>
+      <category>${escapeXml(article.category)}</category>
+${article.tags.map((tag) => `      <category>${escapeXml(tag)}</category>`).join("\n")}
+      <description>${escapeXml(article.excerpt)}</description>
+      <content:encoded>${wrapCdata(article.body)}</content:encoded>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0"
+  xmlns:atom="http://www.w3.org/2005/Atom"
+  xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(CONFIG.TITLE)}</title>
+    <link>${escapeXml(CONFIG.SITE_URL)}</link>
+    <description>${escapeXml(CONFIG.DESCRIPTION)}</description>
+    <language>${CONFIG.LANGUAGE}</language>
+    <lastBuildDate>${lastBuild}</lastBuildDate>
+    <atom:link href="${escapeXml(absoluteUrl(CONFIG.OUTPUT.rss))}" rel="self" type="application/rss+xml"/>
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Builds the JSON Feed (feed.json).
+ * JSON Feed has tags but no category, so the category is kept in the
+ * "_oceanriches" extension object.
+ *
+ * @param {Object[]} articles - Validated stories, newest first
+ * @returns {string} JSON text
+ */
+function buildJsonFeed(articles) {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: CONFIG.TITLE,
+    description: CONFIG.DESCRIPTION,
+    home_page_url: CONFIG.SITE_URL,
+    feed_url: absoluteUrl(CONFIG.OUTPUT.json),
+    icon: absoluteUrl("web-app-manifest-512x512.png"),
+    favicon: absoluteUrl("favicon-96x96.png"),
+    language: CONFIG.LANGUAGE,
+    items: articles.map((article) => ({
+      id: storyUrl(article),
+      url: storyUrl(article),
+      title: article.title,
+      summary: article.excerpt,
+      content_html: article.body,
+      ...(article.image && article.image.src ? { image: absoluteUrl(article.image.src) } : {}),
+      date_published: toIsoDateTime(article.date),
+      authors: [{ name: article.author }],
+      tags: article.tags,
+      _oceanriches: { category: article.category },
+    })),
+  };
+
+  return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+// ============================================
+// 5) MAIN
+// ============================================
+function main() {
+  checkSiteUrl();
+  const articles = loadArticles();
+  validateArticles(articles);
+
+  // Newest first; stable for stories sharing a date
+  const sorted = loadBodies(articles).sort((a, b) => b.date.localeCompare(a.date));
+
+  const outputs = {
+    [CONFIG.OUTPUT.atom]: buildAtom(sorted),
+    [CONFIG.OUTPUT.rss]: buildRss(sorted),
+    [CONFIG.OUTPUT.json]: buildJsonFeed(sorted),
+  };
+
+  Object.entries(outputs).forEach(([file, contents]) => {
+    fs.writeFileSync(path.join(ROOT, file), contents);
+  });
+
+  console.log(`Wrote ${Object.keys(outputs).join(", ")} (${sorted.length} stories) for ${CONFIG.SITE_URL}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`Feed build failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  CONFIG,
+  ROOT,
+  checkSiteUrl,
+  loadArticles,
+  validateArticles,
+  loadBodies,
+  escapeXml,
+  absoluteUrl,
+  storyUrl,
+};
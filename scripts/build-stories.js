@@ -0,0 +1,260 @@
+/* ============================================
+   build-stories.js
+   Generates a static HTML page per story (stories/<slug>.html) for
+   crawlers and link previews that don't run JavaScript.
+   ============================================
+
+   USAGE (from the project root, Node 18+, no dependencies):
+     SITE_URL=https://example.com/OceanRiches/ node scripts/build-stories.js
+
+   SITE_URL is required, as for the feeds: canonical links, og:url and
+   the JSON-LD ids must be the deployed site's addresses. The pages are
+   not committed; build them where the site is deployed.
+
+   WHAT EACH PAGE CARRIES:
+   The same <head> script.js builds when the story is opened on the site
+   (section 27): title, meta description, canonical link, Open Graph and
+   Twitter tags, and schema.org JSON-LD (NewsArticle + Organization).
+   The body is the full story, so the page is readable on its own, with
+   a plain link to the interactive page (../?story=<slug>).
+
+   ONE CANONICAL PER STORY:
+   This page is the story's canonical URL and og:url, and script.js
+   points the same tags at it when the story is opened on the site.
+   Link preview bots (Facebook, Slack, ...) re-fetch og:url; ?story=
+   would land them on index.html's generic tags. No script redirect:
+   a crawler that runs JavaScript must stay on the canonical page.
+
+   SOURCE + VALIDATION:
+   Same records and rules as scripts/build-feeds.js (shared helpers).
+   Any story missing required metadata stops the build (exit code 1)
+   and no pages are written. Pages for stories no longer in
+   articles.json are removed.
+
+   TABLE OF CONTENTS:
+
+   1. CONFIGURATION
+   2. HELPERS
+      - storyPageUrl() - Absolute URL of a story's static page
+      - formatDate() - YYYY-MM-DD → "January 8, 2026"
+      - toJsonLd() - JSON-LD text safe inside <script>
+   3. PAGE BUILDERS
+      - buildStructuredData() - NewsArticle + Organization graph
+      - buildStoryPage() - stories/<slug>.html
+   4. MAIN
+
+   ============================================ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {
+  CONFIG: FEED_CONFIG,
+  ROOT,
+  checkSiteUrl,
+  loadArticles,
+  validateArticles,
+  loadBodies,
+  escapeXml,
+  absoluteUrl,
+} = require("./build-feeds");
+
+// ============================================
+// 1) CONFIGURATION
+// ============================================
+const CONFIG = {
+  SITE_URL: FEED_CONFIG.SITE_URL,
+  TITLE: FEED_CONFIG.TITLE,
+  LANGUAGE: FEED_CONFIG.LANGUAGE,
+  OUTPUT_DIR: "stories",            // Relative to the project root
+  SITE_LOGO: "web-app-manifest-512x512.png",  // Matches CONFIG.SITE_LOGO in script.js
+};
+
+// ============================================
+// 2) HELPERS
+// ============================================
+
+/**
+ * The absolute URL a story's static page is served from.
+ *
+ * @param {Object} article - Article record
+ * @returns {string} e.g. https://example.com/stories/moon-measure.html
+ */
+function storyPageUrl(article) {
+  return absoluteUrl(`${CONFIG.OUTPUT_DIR}/${article.slug}.html`);
+}
+
+/**
+ * Formats a YYYY-MM-DD date the way the site shows it.
+ * Read as UTC so the build machine's time zone can't shift the day.
+ *
+ * @param {string} isoDate - Date from articles.json
+ * @returns {string} e.g. "January 8, 2026"
+ */
+function formatDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Serializes JSON-LD for an inline <script>.
+ * "<" is escaped so a "</script>" inside a title can't end the block.
+ *
+ * @param {Object} data - JSON-LD document
+ * @returns {string} JSON text
+ */
+function toJsonLd(data) {
+  return JSON.stringify(data, null, 2).replace(/</g, "\\u003c");
+}
+
+// ============================================
+// 3) PAGE BUILDERS
+// ============================================
+
+/**
+ * The story's JSON-LD: a NewsArticle published by the site's Organization.
+ * Same shape as buildNewsArticleData() in script.js; keywords are the
+ * story's tags (the .tag chips on the site).
+ *
+ * @param {Object} article - Validated story with its body
+ * @returns {Object} JSON-LD document
+ */
+function buildStructuredData(article) {
+  const organization = {
+    "@type": "Organization",
+    "@id": `${CONFIG.SITE_URL}#organization`,
+    name: CONFIG.TITLE,
+    url: CONFIG.SITE_URL,
+    logo: absoluteUrl(CONFIG.SITE_LOGO),
+  };
+
+  const newsArticle = {
+    "@type": "NewsArticle",
+    headline: article.title,
+    description: article.excerpt,
+    url: storyPageUrl(article),
+    mainEntityOfPage: storyPageUrl(article),
+    publisher: { "@id": organization["@id"] },
+    author: { "@type": "Person", name: article.author },
+    datePublished: article.date,
+    articleSection: article.category,
+  };
+  if (article.image && article.image.src) newsArticle.image = [absoluteUrl(article.image.src)];
+  if (article.tags.length) newsArticle.keywords = article.tags.join(", ");
+
+  return { "@context": "https://schema.org", "@graph": [organization, newsArticle] };
+}
+
+/**
+ * Builds one story page.
+ * Asset links are relative ("../"), so the folder works at any SITE_URL;
+ * metadata URLs are absolute, as crawlers expect.
+ *
+ * @param {Object} article - Validated story with its body
+ * @returns {string} HTML document
+ */
+function buildStoryPage(article) {
+  const title = `${article.title} - ${CONFIG.TITLE}`;
+  const pageUrl = storyPageUrl(article);
+  const image = article.image && article.image.src ? article.image : null;
+  const imageUrl = image ? absoluteUrl(image.src) : "";
+  const interactiveUrl = `../?story=${encodeURIComponent(article.slug)}`;
+
+  const meta = [
+    ["name", "description", article.excerpt],
+    ["property", "og:type", "article"],
+    ["property", "og:site_name", CONFIG.TITLE],
+    ["property", "og:title", article.title],
+    ["property", "og:description", article.excerpt],
+    ["property", "og:url", pageUrl],
+    ["property", "og:image", imageUrl],
+    ["property", "og:image:alt", image ? image.alt : ""],
+    ["property", "article:published_time", article.date],
+    ["property", "article:author", article.author],
+    ["property", "article:section", article.category],
+    ...article.tags.map((tag) => ["property", "article:tag", tag]),
+    ["name", "twitter:card", image ? "summary_large_image" : "summary"],
+    ["name", "twitter:title", article.title],
+    ["name", "twitter:description", article.excerpt],
+    ["name", "twitter:image", imageUrl],
+    ["name", "twitter:image:alt", image ? image.alt : ""],
+  ]
+    .filter(([, , content]) => content)
+    .map(([attribute, key, content]) => `    <meta ${attribute}="${key}" content="${escapeXml(content)}" />`);
+
+  const imageTag = image
+    ? [
+        `<img src="../${escapeXml(image.src)}" alt="${escapeXml(image.alt || "")}"`,
+        image.width ? ` width="${image.width}"` : "",
+        image.height ? ` height="${image.height}"` : "",
+        " />",
+      ].join("")
+    : "";
+
+  return `<!doctype html>
+<!-- Generated by scripts/build-stories.js from articles.json. Do not edit. -->
+<html lang="${CONFIG.LANGUAGE}">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeXml(title)}</title>
+    <link rel="canonical" href="${escapeXml(pageUrl)}" />
+${meta.join("\n")}
+    <link rel="icon" type="image/svg+xml" href="../favicon.svg" />
+    <script type="application/ld+json">
+${toJsonLd(buildStructuredData(article))}
+    </script>
+  </head>
+  <body>
+    <main>
+      <article>
+        <p>${escapeXml(CONFIG.TITLE)}</p>
+        <h1>${escapeXml(article.title)}</h1>
+        <p>By ${escapeXml(article.author)} · <time datetime="${article.date}">${formatDate(article.date)}</time> · ${escapeXml(article.category)}</p>
+        ${imageTag}
+${article.body}
+        <p>Tags: ${article.tags.map(escapeXml).join(", ")}</p>
+      </article>
+      <p><a href="${interactiveUrl}">Read this story on ${escapeXml(CONFIG.TITLE)}</a></p>
+    </main>
+  </body>
+</html>
+`;
+}
+
+// ============================================
+// 4) MAIN
+// ============================================
+function main() {
+  checkSiteUrl();
+  const articles = loadArticles();
+  validateArticles(articles);
+
+  const outputDir = path.join(ROOT, CONFIG.OUTPUT_DIR);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const pages = new Map(loadBodies(articles).map((article) => [`${article.slug}.html`, buildStoryPage(article)]));
+
+  // Drop pages for stories that were removed or renamed
+  fs.readdirSync(outputDir)
+    .filter((file) => file.endsWith(".html") && !pages.has(file))
+    .forEach((file) => fs.unlinkSync(path.join(outputDir, file)));
+
+  pages.forEach((contents, file) => {
+    fs.writeFileSync(path.join(outputDir, file), contents);
+  });
+
+  console.log(`Wrote ${pages.size} story pages to ${CONFIG.OUTPUT_DIR}/ for ${CONFIG.SITE_URL}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Story page build failed: ${error.message}`);
+  process.exitCode = 1;
+}
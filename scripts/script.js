@@ -1,7 +1,11 @@
 /* ============================================
    script.js
    Interactive JavaScript for OceanRiches site.
-   Handles ripple effects, random tarot images, card flips, and modal interactions.
+   Handles the article feed, ripple effects, tarot deck images, card flips,
+   modal interactions (including story-to-story navigation), site search,
+   story deep links, category/tag filtering, the subscribe dialog,
+   offline support, analytics, trending badges, read aloud, print export,
+   per-story metadata and a small public API (window.OceanRiches).
    ============================================
 
    TABLE OF CONTENTS:
@@ -11,12 +15,18 @@
       - CSS class names for state management
       - DOM selectors for elements
       - Modal state tracking object
+      - Search state tracking object
+      - Filter state tracking object
 
    2. HELPER UTILITIES
       - lockBodyScroll() - Prevents scroll, compensates for scrollbar
       - unlockBodyScroll() - Restores scroll capability
       - getModalParts() - Validates and returns modal DOM elements
       - isInteractiveTarget() - Checks if click target is interactive element
+      - createElement() - Creates an element with class and text content
+      - getCardCategory() - Reads a card's category from .article-category
+      - getCardTags() - Reads a card's .tag names
+      - addCardDescription() - Adds an id to a card's aria-describedby
 
    3. RIPPLE EFFECT SYSTEM
       - removeExistingRipple() - Cleans up old ripples
@@ -24,25 +34,270 @@
       - calculateRippleSize() - Computes ripple diameter to cover element
       - setRipplePosition() - Positions ripple with CSS custom properties
       - createRipple() - Main ripple creation logic
-      - initializeRippleEffects() - Attaches hover listeners
+      - getPointerEntry() - Hover origin (entry edge)
+      - getPressPoint() - Tap/click origin (pressed point)
+      - getKeyboardEntry() - Focus origin (centre)
+      - initializeRippleEffects() - Delegated pointer, focus and click listeners
+      - markRippleContainers() - Container class on every ripple element
 
    4. MODAL TRANSFORM CALCULATIONS
       - setModalFromCardTransform() - Calculates zoom animation coordinates
 
    5. MODAL OPEN/CLOSE SYSTEM
+      - fillModalBody() - Copies a card's back content into the modal
       - openFeaturedModalFromCard() - Animates card → modal zoom
       - closeFeaturedModalToCard() - Animates modal → card zoom
       - initializeFeaturedModal() - Sets up modal event listeners
 
    6. TAROT CARD FLIP SYSTEM
-      - assignRandomTarotImages() - Assigns random background images to card fronts
+      - loadTarotDeck() - Fetches the deck manifest
+      - createSeededRandom() - Repeatable random numbers for the daily spread
+      - getTarotOrder() - Shuffles the deck for the current mode
+      - probeTarotImage() - Checks (once) that a card image loads
+      - dealTarotCard() - Deals the next unused card that loads
+      - applyTarotCard() - Paints and labels one card front
+      - assignTarotImages() - Deals deck cards to card fronts not yet dealt
       - scheduleOpenFromFlip() - Delays modal open until flip completes
-      - initializeTarotCards() - Attaches flip and open logic to cards
+      - initializeTarotCards() - Delegated flip and open listeners on the grids
+      - tryFlipAndOpen() - Flips a card and schedules the modal open
 
    7. HAMBURGER MENU
       - initializeHamburgerMenu() - Mobile navigation toggle
 
-   8. INITIALIZATION
+   8. ARTICLE CONTENT FEED
+      - loadArticles() - Fetches article records from articles.json
+      - formatArticleDate() - Turns an ISO date into display text
+      - formatRelativeDate() - "3 days ago" text for an ISO date
+      - buildArticleHeader() - Creates the title header for a card face
+      - buildArticleMeta() - Creates the author/date/category row
+      - buildTarotCard() - Creates the full front/back card markup
+      - renderArticles() - Fills the Featured and first Latest page
+      - getArticleCard() - Builds (once) and returns a record's card
+      - renderLatest() - Shows the first N Latest stories in sort order
+      - refreshCards() - Syncs cards added after initialization
+      - getAllStoryCards() - Rendered cards plus unsummoned Latest stories
+      - updateLoadMore() / hasMoreLatest() - "Summon more stories" state
+      - loadMoreLatest() - Appends the next page of Latest stories
+      - ensureStoryCard() - Renders pages until a story's card exists
+      - loadArticleBody() - Fetches a story's body on first open
+      - initializeLoadMore() - Button (and optional infinite scroll)
+      - showFeedError() - Explains a failed feed load inside the grids
+
+   9. SITE SEARCH
+      - getSearchParts() - Validates and returns search overlay DOM elements
+      - normalizeSearchText() - Lowercases and strips accents for matching
+      - tokenizeQuery() - Splits a query into unique search terms
+      - buildSearchIndex() - Reads searchable text from the story cards
+      - scoreSearchRecord() - Ranks one story against the query terms
+      - searchArticles() - Returns ranked results for a query
+      - findSearchMatches() - Locates terms in original (accented) text
+      - appendHighlighted() - Appends text with matched terms in <mark>
+      - buildSearchSnippet() - Picks excerpt/body context around a match
+      - renderSearchResults() - Draws the result list and status text
+      - setActiveSearchResult() - Moves the keyboard selection
+      - loadSearchBodies() - Fetches unopened story bodies for full-text search
+      - openSearch() / closeSearch() - Shows and hides the overlay
+      - selectSearchResult() - Scrolls to the story and opens it
+      - initializeSearch() - Sets up search event listeners
+
+   10. STORY DEEP LINKS
+      - getStoryKey() - Slug (or id) that identifies a card in the URL
+      - findCardByStory() - Looks up a card by slug or data-card-id
+      - findArticleByStory() - Looks up a feed record (rendered or not)
+      - buildStoryUrl() - Current URL with the ?story= param set or removed
+      - pushStoryState() - Adds a history entry when a story opens
+      - replaceStoryState() - Points the current entry at another story
+      - clearStoryState() - Undoes the story entry when a story closes
+      - openStoryFromUrl() - Opens the story named in the URL
+      - syncModalWithUrl() - Opens/closes the modal to match Back/Forward
+      - flushUrlSync() - Runs a sync deferred by an animation
+      - initializeDeepLinks() - Handles initial deep link and Back/Forward
+
+   11. CATEGORY FILTERING
+      - getRealmFromHash() - Reads the active nav realm from the URL hash
+      - cardMatchesRealm() - Checks a card's category against a realm
+      - cardMatchesFilters() - Checks a card against the realm and tags
+      - renderLatestMatches() - Renders the Latest pages that hold matches
+      - captureCardPositions() - Records card positions before a reflow
+      - playGridReflow() - Slides/fades cards into their new positions
+      - updateFilterStatus() - Describes active filters or the empty state
+      - applyFilters() - Hides cards/sections that fail realm or tag filters
+      - applyCategoryFilter() - Sets the realm and re-applies filters
+      - setCategoryFilter() - Applies a realm and records it in the URL
+      - initializeCategoryFilter() - Wires nav links, clear button, history
+
+   12. TAG FILTERS
+      - cardMatchesTags() - Checks a card against the selected tags (AND/OR)
+      - countTags() - Counts how many stories use each tag
+      - renderTagCloud() - Draws the tag index with per-tag counts
+      - renderTagChips() - Draws the removable chips for selected tags
+      - setTagFilters() - Updates selected tags / mode and re-filters
+      - toggleTagFilter() - Adds or removes one tag
+      - clearAllFilters() - Drops realm and tag filters together
+      - prepareModalTags() - Makes tags in the modal keyboard-operable
+      - initializeTagFilters() - Wires tag clicks, cloud, chips and mode
+
+   13. MODAL STORY NAVIGATION
+      - getStoryOrder() - Visible cards in grid order
+      - updateModalStoryNav() - Syncs Previous/Next state and announces position
+      - turnModalPage() - Page-turn transition around a content swap
+      - showAdjacentStory() - Moves the modal to the previous/next story
+      - initializeModalStoryNav() - Wires buttons, arrow keys and swipes
+
+   14. FOCUS TRAP
+      - getFocusableElements() - Tabbable elements inside a container
+      - trapFocus() - Confines Tab to a container, suspending any open trap
+      - releaseFocusTrap() - Releases a trap, re-applying the one underneath
+      - applyFocusTrap() - Makes the page inert and wraps Tab
+      - removeFocusTrap() - Restores the page behind the active trap
+
+   15. MOTION PREFERENCES
+      - readMotionPreference() - Saved choice from localStorage
+      - getScrollBehavior() - "smooth" or "auto" for scrollIntoView
+      - applyMotionPreference() - Resolves saved choice vs OS setting
+      - setMotionPreference() - Saves the toggle choice and applies it
+      - initializeMotionPreference() - Media query listener + toggle
+
+   16. READING STATE
+      - loadReadingState() / saveReadingState() - localStorage round trip
+      - getReadingRecord() - Per-story progress record
+      - updateReadingProgress() - Progress bar + saved position
+      - beginReading() / endReading() - Hooks for modal open/close
+      - restoreReadingPosition() - Resumes the saved scroll position
+      - updateReadMarkers() - "Read" marker on opened cards
+      - updateContinueRibbon() - "Continue reading" for the last unfinished story
+      - resumeLastStory() - Reopens it at the saved position
+      - initializeReadingState() - Restores state and wires listeners
+
+   17. SUBSCRIBE DIALOG
+      - getSubscribeParts() - Validates and returns subscribe dialog DOM elements
+      - renderRealmOptions() - Builds realm checkboxes from the nav
+      - setFieldError() - aria-invalid + message for one field
+      - showSubscribeStatus() - Status / error line under the form
+      - validateSubscribeForm() - Checks email and realms, returns the signup
+      - loadSubscribeQueue() / queueSubscription() - localStorage queue
+      - sendSubscription() - POSTs a signup to the endpoint
+      - flushSubscribeQueue() - Sends queued signups once an endpoint exists
+      - submitSubscription() - Validate → send or queue → success/error state
+      - openSubscribe() / closeSubscribe() - Shows and hides the dialog
+      - initializeSubscribe() - Sets up subscribe event listeners
+
+   18. OFFLINE SUPPORT
+      - registerServiceWorker() - Registers sw.js (precache + offline page)
+
+   19. STORY SORTING & NEW STORIES
+      - sortArticles() - Feed records in a sort order
+      - getSortKey() - Selected sort option
+      - sortLatest() - Re-sorts Latest Articles (with reflow animation)
+      - getLastVisit() - Previous visit time (local + session storage)
+      - markNewStories() - "New" badge on stories since the last visit
+      - initializeStorySorting() - "New" badges + sort control
+
+   20. PUBLIC API
+      - initializeInteractions() - Delegated listeners under one AbortController
+      - teardown() - Removes them and clears pending work
+      - refresh() - Re-syncs the page after outside card changes
+      - openStory() - Opens a story by slug or id
+      - exposePublicApi() - Publishes window.OceanRiches
+
+   21. THEMES
+      - readThemePreference() - Saved choice from localStorage
+      - getSystemTheme() - Theme the OS settings ask for
+      - applyThemeArt() - Pins the header/footer art to the active theme
+      - applyTheme() - Resolves saved choice vs OS setting
+      - setThemePreference() - Saves the switcher choice and applies it
+      - initializeTheme() - Media query listeners + theme switcher
+
+   22. SHARE PANEL
+      - getShareDetails() - Title, author, date, link and image for a story
+      - formatCitation() - "Title" by Author. Ocean Riches, date. link
+      - renderShareBar() - Share buttons under the modal story's byline
+      - showToast() - Brief status message inside the modal
+      - copyText() - Clipboard write with a selection fallback
+      - wrapCanvasText() - Splits a title into lines that fit the card
+      - loadShareImage() - Loads the article image for the canvas
+      - renderShareCard() - Draws the share card PNG
+      - downloadShareCard() - Saves the share card as a file
+      - shareStory() - Runs one share action for the current story
+      - initializeShare() - Delegated share bar clicks
+
+   23. TAVERN TALK (REACTIONS + COMMENTS)
+      - createLocalTavernStore() - Storage adapter backed by localStorage
+      - createRestTavernStore() - Storage adapter backed by a REST endpoint
+      - getTavernStore() - Adapter picked by CONFIG.TAVERN_STORAGE
+      - loadMyReactions() / saveMyReactions() - This reader's reactions
+      - sanitizeCommentText() - Cleans comment text and names
+      - normalizeTalk() - Validates reactions + comments from any store
+      - formatCommentTime() - "Mar 3, 4:05 PM" for a comment
+      - buildReactionBar() / updateReactionBar() - Reaction toggles + counts
+      - buildCommentThread() - Nested comment list
+      - flattenReplies() - Sub-thread listed flat at the depth limit
+      - buildCommentForm() - New comment / reply form
+      - drawTavernTalk() - Draws reactions, thread and form from the store data
+      - renderTavernTalk() - Adds the panel to the modal story and loads it
+      - toggleReaction() - Adds or removes one reaction
+      - submitComment() - Validate → save → re-render the thread
+      - initializeTavernTalk() - Delegated reaction, reply and form listeners
+
+   24. ANALYTICS & TRENDING
+      - createLocalActivitySink() - Local log of the events trending needs
+      - createBeaconActivitySink() - Batches events to the collector (sendBeacon)
+      - getActivityLog() / getCollector() - Sinks, created on first use
+      - isDoNotTrack() - Do Not Track / Global Privacy Control signal
+      - canSendAnalytics() - Endpoint + no DNT + consent
+      - trackActivity() - Records one event in every allowed sink
+      - getDwellTime() - Visible time on the current story
+      - startStoryVisit() / endStoryVisit() - Hooks for modal open/close
+      - trackScrollDepth() - scroll_depth at 25/50/75/100%
+      - trackSearch() - Query the search overlay closed with
+      - trackFilterChange() - Realm / tag filters, when they change
+      - readAnalyticsConsent() / setAnalyticsConsent() - Footer consent switch
+      - initializeAnalytics() - Consent switch, dwell pause, flush on hide/unload, bfcache restore
+      - scoreStories() - Recency-weighted score per story for one event type
+      - pickTrendingTags() - Trending tag behind each nav badge
+      - updateTrendingBadges() - Points the badges at their tags
+      - initializeTrending() - Badge clicks
+
+   25. READ ALOUD
+      - isSpeechSupported() - Checks for the Web Speech API
+      - getReadAloudParts() - Validates and returns the read-aloud controls
+      - loadSpeechSettings() / saveSpeechSettings() - Speed, voice, queue
+      - renderVoiceOptions() - Voice select, page language first
+      - splitSentences() - Sentence offsets in a paragraph
+      - buildSpeechChunks() - Sentences to speak, in reading order
+      - createTextRange() - Range over part of a paragraph's text
+      - highlightChunk() - Marks the paragraph and sentence being read
+      - updateReadAloudControls() - Play/Pause label, disabled states, status
+      - speakChunk() / cancelUtterance() - One utterance per sentence
+      - startReadAloud() - Narrates the story in the modal
+      - toggleReadAloud() - Play / Pause / Resume
+      - skipReadAloud() - Previous / next paragraph
+      - stopReadAloud() - Ends narration (Stop, modal close, page turn)
+      - hasNextInSection() / finishReadAloud() - Queue: next story in the section
+      - syncReadAloudStory() - Hook for fillModalBody (queue start or stop)
+      - initializeReadAloud() - Controls, settings, voices, pagehide
+
+   26. PRINT & EXPORT
+      - buildPrintStory() - Printable copy of one story (byline, image, body, link)
+      - renderPrintView() - Fills #print-view and sets html[data-print]
+      - clearPrintView() - Restores the page after printing
+      - waitForPrintImages() - Holds the dialog until images load (capped)
+      - printStories() - Load bodies → render → print
+      - getFeaturedCards() - Stories for "Print all Featured"
+      - initializePrint() - beforeprint (Ctrl+P) / afterprint
+
+   27. STORY METADATA (STRUCTURED DATA + SOCIAL TAGS)
+      - getStoryMetadata() - Title, excerpt, byline, tags, link and image
+      - buildOrganizationData() - schema.org Organization for the site
+      - buildNewsArticleData() - schema.org NewsArticle for a story
+      - writeStructuredData() - The page's JSON-LD block
+      - setMetaTag() - Sets a <meta> tag, remembering the page's value
+      - setArticleTags() - One article:tag <meta> per story tag
+      - applyStoryMetadata() - Title, description, canonical, OG/Twitter, JSON-LD
+      - restoreSiteMetadata() - Puts the page's own values back
+      - initializeStoryMetadata() - Organization JSON-LD on load
+
+   28. INITIALIZATION
       - initializeAll() - Orchestrates all feature initialization
       - DOMContentLoaded handler
 
@@ -59,6 +314,7 @@
   const CONFIG = {
     // ===== RIPPLE EFFECT SETTINGS =====
     RIPPLE_DURATION: 900,      // Duration in ms (matches CSS animation)
+    RIPPLE_PRESS_DURATION: 450, // Press (click/tap) ripple duration (matches CSS)
     SIZE_MULTIPLIER: 2.2,      // Scale factor - ensures ripple covers entire element
     PUSH_MULTIPLIER: 1.0,      // Directional push strength (can reduce for subtler effect)
     RIPPLE_SELECTORS: ".nav-item a, .article, .tag",  // Elements that get ripple effects
@@ -68,11 +324,19 @@
     CLASSES: {
       RIPPLE: "ripple",              // Applied to ripple span element
       CONTAINER: "ripple-container", // Applied to elements that receive ripples
+      RIPPLE_PRESS: "ripple-press",  // Press ripple (click/tap) variant
       FLIPPED: "flipped",            // Tarot card flipped state (front → back)
       NAV_ACTIVE: "active",          // Mobile nav menu expanded state
       MODAL_OPEN: "is-open",         // Modal visible state
       MODAL_OPENING: "is-opening",   // Triggers opening animation
       MODAL_CLOSING: "is-closing",   // Triggers closing animation
+      SEARCH_ACTIVE: "is-active",    // Keyboard-selected search result
+      NAV_CURRENT: "is-current",     // Nav link for the active category filter
+      PAGE_OUT: "is-turning-out",    // Modal body leaving during a page turn
+      PAGE_IN: "is-turning-in",      // Modal body arriving during a page turn
+      READ: "is-read",               // Card whose story has been opened before
+      STATUS_ERROR: "is-error",      // Form status line showing a failure
+      SPEAKING: "is-speaking",       // Story paragraph being read aloud
     },
 
     // ===== MODAL DOM SELECTORS =====
@@ -80,6 +344,7 @@
     MODAL_BODY_ID: "#featured-modal-body",    // Container for article content
     MODAL_CONTENT_SELECTOR: ".modal-content", // Animated content box
     MODAL_CLOSE_SELECTOR: ".modal-close",     // Close button
+    MODAL_TITLE_ID: "featured-modal-title",   // Id given to the story heading (aria-labelledby)
 
     // ===== RESPONSIVE BREAKPOINT =====
     MOBILE_BREAKPOINT: 768,  // Must match CSS breakpoint (mobile < 768px)
@@ -88,8 +353,140 @@
     FLIP_MS: 800,            // Matches .tarot-card-inner CSS transition (0.8s)
     FLIP_BUFFER_MS: 30,      // Small buffer to ensure flip completes before modal opens
 
+    // ===== TAROT DECK =====
+    TAROT_DECK_URL: "assets/images/tarot-cards/deck.json",  // Deck manifest
+    TAROT_DIR: "assets/images/tarot-cards/",  // Card image folder (manifest files are relative)
+    TAROT_MODE: "random",    // "random" per visit | "daily" spread | "pinned" per article
+
     // ===== MODAL REOPEN PREVENTION =====
     REOPEN_GUARD_MS: 450,    // Ignore card clicks for this duration after modal closes
+
+    // ===== MOTION PREFERENCES =====
+    MOTION_STORAGE_KEY: "oceanriches:motion",  // Saved toggle choice ("reduce" | "full")
+    REDUCED_MOTION_QUERY: "(prefers-reduced-motion: reduce)",
+
+    // ===== THEMES =====
+    // Keep the key and queries in sync with scripts/theme-boot.js
+    THEME_STORAGE_KEY: "oceanriches:theme",  // Saved switcher choice ("light" | "abyssal" | "contrast")
+    THEMES: ["light", "abyssal", "contrast"],
+    CONTRAST_QUERY: "(prefers-contrast: more)",
+    LIGHT_SCHEME_QUERY: "(prefers-color-scheme: light)",
+    THEME_COLORS: {          // <meta name="theme-color"> per theme (page background)
+      light: "#e6eeea",
+      abyssal: "#273c3e",
+      contrast: "#000000",
+    },
+
+    // ===== READING STATE =====
+    READING_STORAGE_KEY: "oceanriches:reading",  // Opened stories + scroll progress
+    READ_COMPLETE: 0.95,     // Progress (0-1) that counts as finished
+
+    // ===== MODAL STORY NAVIGATION =====
+    SWIPE_MIN_PX: 60,        // Horizontal travel that counts as a swipe
+
+    // ===== ARTICLE CONTENT FEED =====
+    ARTICLES_URL: "articles.json",  // Story data (relative to index.html)
+    LATEST_PAGE_SIZE: 3,            // Latest cards per page ("Summon more stories")
+    INFINITE_SCROLL: false,         // true = load the next page as the button scrolls into view
+    INFINITE_SCROLL_MARGIN: "200px 0px",  // How early infinite scroll loads
+    FEED_GRIDS: {                   // Article "section" value → grid it renders into
+      featured: ".featured-grid",
+      latest: ".articles-grid",
+    },
+
+    // ===== SUBSCRIBE DIALOG =====
+    SUBSCRIBE_ID: "#subscribe-dialog",            // Subscribe dialog overlay
+    SUBSCRIBE_ENDPOINT: "",                       // POST URL for signups ("" = queue locally)
+    SUBSCRIBE_QUEUE_KEY: "oceanriches:subscribe-queue",  // localStorage queue of signups
+
+    // ===== OFFLINE SUPPORT =====
+    SERVICE_WORKER_URL: "sw.js",      // Must sit at the site root to control index.html
+
+    // ===== STORY DEEP LINKS =====
+    STORY_PARAM: "story",             // ?story=<slug or card id>
+
+    // ===== TAVERN TALK (REACTIONS + COMMENTS) =====
+    TAVERN_STORAGE: "local",          // "local" (this browser only) | "rest" (TAVERN_ENDPOINT)
+    TAVERN_ENDPOINT: "",              // REST base URL, e.g. "http://localhost:3000/api"
+    TAVERN_STORAGE_KEY: "oceanriches:tavern",          // Local store: reactions + comments per story
+    TAVERN_MINE_KEY: "oceanriches:tavern-reactions",   // Reactions this reader gave (any store)
+    REACTIONS: [                      // Reaction bar, in display order
+      { key: "wave", emoji: "🌊", label: "Wave" },
+      { key: "sparkles", emoji: "✨", label: "Sparkles" },
+      { key: "unicorn", emoji: "🦄", label: "Unicorn" },
+      { key: "crystal-ball", emoji: "🔮", label: "Crystal ball" },
+      { key: "laugh", emoji: "😂", label: "Laugh" },
+    ],
+    COMMENT_NAME_MAX: 40,             // Characters kept from a commenter's name
+    COMMENT_MAX_CHARS: 1000,          // Characters kept from a comment
+    COMMENT_MAX_DEPTH: 3,             // Thread levels (the last one lists deeper replies flat)
+
+    // ===== ANALYTICS & TRENDING =====
+    ANALYTICS_ENDPOINT: "",           // Collector URL for event batches ("" = nothing leaves the browser)
+    ANALYTICS_DEBUG: false,           // true = log every event and batch to the console
+    ANALYTICS_CONSENT_KEY: "oceanriches:analytics-consent",  // Footer switch ("granted" | "denied")
+    ANALYTICS_BATCH_SIZE: 10,         // Send as soon as this many events are waiting...
+    ANALYTICS_FLUSH_MS: 15000,        // ...or this long after the first one
+    ANALYTICS_MAX_QUEUE: 100,         // Oldest unsent events dropped beyond this
+    ANALYTICS_QUERY_MAX: 100,         // Characters kept from a search query
+    SCROLL_DEPTH_MARKS: [25, 50, 75, 100],  // scroll_depth events (% of the story)
+    ACTIVITY_STORAGE_KEY: "oceanriches:activity",  // Local log: events the trending badges use
+    ACTIVITY_MAX_EVENTS: 500,         // Local log keeps only the newest events
+    ACTIVITY_MAX_AGE_DAYS: 30,        // ...and drops events older than this
+    DWELL_MAX_MS: 20 * 60 * 1000,     // Longest visit counted (an idle open tab isn't reading)
+    TRENDING_HALF_LIFE_DAYS: 7,       // An event counts half as much after this long
+    TRENDING_BADGES: {                // Nav badge (data-trend) → event type that picks its tag
+      hot: "modal_open",              // Most opened
+      lore: "modal_close",            // Longest read (dwell time)
+      chaos: "reaction",              // Most reacted to
+    },
+
+    // ===== READ ALOUD =====
+    SPEECH_STORAGE_KEY: "oceanriches:read-aloud",  // Saved speed, voice and queue choice
+    SPEECH_BLOCKS: "p, h2, h3, h4, h5, h6, li, blockquote, figcaption",  // Read as paragraphs
+    SPEECH_HIGHLIGHT: "read-aloud",   // CSS custom highlight name (::highlight(read-aloud))
+
+    // ===== PRINT & EXPORT =====
+    PRINT_VIEW_ID: "#print-view",     // Printable layout (filled just before printing)
+    PRINT_IMAGE_WAIT_MS: 3000,        // Longest wait for images before the print dialog
+
+    // ===== STORY METADATA =====
+    STRUCTURED_DATA_ID: "structured-data",  // id of the JSON-LD <script> in <head>
+    SITE_LOGO: "web-app-manifest-512x512.png",  // Organization logo (relative to index.html)
+    STORY_PAGES_DIR: "stories/",      // Static story pages (scripts/build-stories.js): the canonical URLs
+
+    // ===== SHARE PANEL =====
+    SITE_NAME: "Ocean Riches",        // Citation + share card credit
+    SHARE_CARD_WIDTH: 1200,           // Share card PNG size (social preview 1.91:1)
+    SHARE_CARD_HEIGHT: 630,
+    TOAST_MS: 2600,                   // How long copy/download feedback stays up
+
+    // ===== STORY SORTING & NEW STORIES =====
+    SORT_DEFAULT: "newest",           // newest | oldest | author | category
+    LAST_VISIT_KEY: "oceanriches:last-visit",  // ISO time of the previous visit
+
+    // ===== CATEGORY FILTERING =====
+    FILTER_REFLOW_MS: 420,            // Card slide/fade duration when grids reflow
+    REALM_CATEGORIES: {               // Nav realm (#hash) → card categories it shows
+      realms: ["Breaking-News", "Cosmic-Emergency"],
+      creatures: ["Tabloid-Magic"],
+      spellbook: ["Spellbook", "Performance"],
+      artifacts: ["Artifacts"],
+      drama: ["Tabloid-Magic", "Cosmic-Emergency"],
+      tavern: ["Tavern"],
+    },
+
+    // ===== SITE SEARCH =====
+    SEARCH_ID: "#search-overlay",     // Search dialog overlay
+    SEARCH_MIN_CHARS: 2,              // Query length before results appear
+    SEARCH_MAX_RESULTS: 8,            // Results listed at once
+    SEARCH_SNIPPET_CHARS: 140,        // Context shown around a body/excerpt match
+    SEARCH_WEIGHTS: {                 // Points per match, by field
+      title: 10,
+      tags: 6,
+      excerpt: 3,
+      body: 1,
+    },
   };
 
   // ===== MODAL STATE TRACKER =====
@@ -102,6 +499,149 @@
     openTimer: null,            // setTimeout ID for delayed modal open
     ignoreCardClicksUntil: 0,   // Timestamp to prevent immediate reopen
     savedTransform: null,       // Stored transform values from opening (for smooth close)
+    historyPushed: false,       // Did opening add a history entry? (close goes back)
+    pendingUrlSync: false,      // Back/Forward arrived mid-animation (synced when it ends)
+  };
+
+  // ===== SEARCH STATE TRACKER =====
+  // Holds the search index and the current keyboard selection.
+  const searchState = {
+    isOpen: false,              // Is the search overlay visible?
+    index: [],                  // Searchable records, rebuilt each time search opens
+    results: [],                // Ranked results for the current query
+    activeIndex: -1,            // Keyboard-selected result (-1 = none)
+    lastFocusedElement: null,   // Element to restore focus to when closing
+    loadingBodies: false,       // Story bodies still being fetched for the index
+  };
+
+  // ===== SUBSCRIBE STATE TRACKER =====
+  const subscribeState = {
+    isOpen: false,              // Is the subscribe dialog visible?
+    isSubmitting: false,        // Is a signup being sent? (blocks double submits)
+    lastFocusedElement: null,   // Element to restore focus to when closing
+  };
+
+  // ===== FOCUS TRAP STATE TRACKER =====
+  // One active trap; a dialog opened over the mobile menu suspends the
+  // menu's trap until it closes.
+  const focusTrapState = {
+    container: null,            // Element Tab is confined to (null = no trap)
+    inertElements: [],          // { element, ariaHidden } pairs to restore on release
+    onKeydown: null,            // Active Tab handler (removed on release)
+    suspended: [],              // Containers of traps underneath (newest last)
+  };
+
+  // ===== MOTION STATE TRACKER =====
+  // Reduced motion: no ripples, no flip delay, modal cross-fades instead of zooming.
+  const motionState = {
+    reduced: false,             // Effective setting (saved choice, else OS setting)
+    saved: null,                // Reader's toggle choice: "reduce" | "full" | null
+    mediaQuery: null,           // MediaQueryList for prefers-reduced-motion
+  };
+
+  // ===== THEME STATE TRACKER =====
+  // The boot script already set <html data-theme>; this keeps it live.
+  const themeState = {
+    theme: "abyssal",           // Effective theme (saved choice, else OS setting)
+    saved: null,                // Reader's switcher choice, null = follow the OS
+    queries: [],                // MediaQueryLists for prefers-contrast / prefers-color-scheme
+  };
+
+  // ===== READING STATE TRACKER =====
+  // Mirrors localStorage; written back on close, story change and pagehide.
+  const readingState = {
+    stories: {},                // { [storyKey]: { progress, position, openedAt } }
+    last: null,                 // Story key most recently opened
+    current: null,              // Story key shown in the modal right now
+    frame: null,                // requestAnimationFrame ID for scroll updates
+  };
+
+  // ===== TAROT STATE TRACKER =====
+  const tarotState = {
+    probes: new Map(),          // { [file]: Promise<boolean> } image load checks
+    deck: null,                 // Promise<Object[]> manifest (fetched once)
+  };
+
+  // ===== FEED STATE TRACKER =====
+  // Latest Articles render a page at a time; bodies are fetched on open.
+  const feedState = {
+    articles: [],               // Every feed record (featured + latest)
+    latest: [],                 // Latest records in display (sorted) order
+    latestShown: 0,             // How many Latest records have cards in the grid
+    cards: new Map(),           // { [article id]: card } built so far
+    bodies: new Map(),          // { [card id]: Promise } body fetches (one per story)
+    observer: null,             // IntersectionObserver (infinite scroll only)
+  };
+
+  // ===== INTERACTION STATE TRACKER =====
+  // Delegated ripple and flip/open listeners share one AbortController,
+  // so teardown() removes them all at once.
+  const interactionState = {
+    controller: null,           // AbortController for delegated listeners (null = torn down)
+    hovering: new WeakSet(),    // Elements under the pointer (one ripple per hover)
+    lastInput: "pointer",       // "keyboard" | "pointer" - what moved focus last
+  };
+
+  // ===== SHARE STATE TRACKER =====
+  const shareState = {
+    toastTimer: null,           // setTimeout ID that clears the toast
+    rendering: false,           // Share card being drawn (ignores repeat clicks)
+  };
+
+  // ===== SPEECH STATE TRACKER =====
+  // One narration at a time, always of the story in the modal.
+  const speechState = {
+    story: null,                // Story key being narrated (null = idle)
+    chunks: [],                 // { block, start, end, text } sentences in reading order
+    index: 0,                   // Chunk being spoken (or resumed from)
+    playing: false,             // Speaking now (false = paused or idle)
+    utterance: null,            // Current SpeechSynthesisUtterance (older ones are ignored)
+    advancing: false,           // Queue mode is turning to the next story
+    settings: { rate: 1, voice: "", queue: false },  // Saved choices (voice = voiceURI)
+  };
+
+  // ===== PRINT STATE TRACKER =====
+  const printState = {
+    preparing: false,           // Bodies/images loading for a print (ignores repeat clicks)
+    title: null,                // Page title to restore after printing (null = not changed)
+  };
+
+  // ===== METADATA STATE TRACKER =====
+  // What <head> held before a story changed it (restored on close).
+  const metaState = {
+    title: null,                // Page title (null = not changed)
+    canonical: undefined,       // Canonical href (null = page had none, undefined = not changed)
+    defaults: new Map(),        // { "property=og:title": content | null (tag was added) }
+    tags: [],                   // article:tag <meta> elements added for the open story
+  };
+
+  // ===== TAVERN STATE TRACKER =====
+  const tavernState = {
+    store: null,                // Storage adapter (created on first use)
+    story: null,                // Story key whose talk is in the modal
+    talk: null,                 // { reactions, comments } last loaded for that story
+    reacting: new Set(),        // "story:reaction" keys with a save in flight
+  };
+
+  // ===== ACTIVITY STATE TRACKER =====
+  // Times the story in the modal; dwell pauses while the tab is hidden.
+  const activityState = {
+    log: null,                  // Local activity sink (created on first use)
+    collector: null,            // Beacon sink for CONFIG.ANALYTICS_ENDPOINT (null = none)
+    consent: false,             // Reader turned on sharing reading stats
+    session: Math.random().toString(36).slice(2, 10),  // Random id for this page load only
+    story: null,                // Story key being timed (null = modal closed)
+    dwell: 0,                   // Visible ms banked before the last pause
+    visibleSince: null,         // Timestamp the current visible stretch began
+    depth: 0,                   // Furthest scroll depth (%) in the current story
+    filters: null,              // Last filter_change sent (JSON of realm, tags, mode)
+  };
+
+  // ===== FILTER STATE TRACKER =====
+  const filterState = {
+    realm: null,                // Active nav realm key (e.g. "spellbook"), null = all
+    tags: [],                   // Selected tag names, in the order they were picked
+    tagMode: "any",             // "any" (OR) or "all" (AND) across selected tags
   };
 
   // ============================================
@@ -169,18 +709,78 @@
     );
   }
 
+  /**
+   * Creates an element with an optional class name and text content.
+   * Text is set via textContent, so feed data is never parsed as HTML.
+   * 
+   * @param {string} tagName - Element to create (e.g. "span")
+   * @param {string} [className] - Class attribute value
+   * @param {string} [text] - Text content
+   * @returns {HTMLElement} The new element
+   */
+  function createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Reads a card's category from its .article-category span.
+   * Strips the visible "Category: " label.
+   * 
+   * @param {HTMLElement} card - Tarot card
+   * @returns {string} Category (e.g. "Spellbook") or "" if missing
+   */
+  function getCardCategory(card) {
+    const category = card.querySelector(".article-category");
+    return category ? category.textContent.replace(/^\s*Category:\s*/, "").trim() : "";
+  }
+
+  /**
+   * Reads the tag names from a card (or any container with .tag spans).
+   * 
+   * @param {HTMLElement} container - Tarot card or modal body
+   * @returns {string[]} Tag names in display order
+   */
+  function getCardTags(container) {
+    return Array.from(container.querySelectorAll(".tag"), (tag) => tag.textContent.trim());
+  }
+
+  /**
+   * Adds an element id to a card's aria-describedby list.
+   * Several badges ("Read", "New") can describe the same card.
+   * 
+   * @param {HTMLElement} card - Tarot card
+   * @param {string} id - id of the describing element
+   */
+  function addCardDescription(card, id) {
+    const ids = (card.getAttribute("aria-describedby") || "").split(/\s+/).filter(Boolean);
+    if (!ids.includes(id)) ids.push(id);
+    card.setAttribute("aria-describedby", ids.join(" "));
+  }
+
   // ============================================
   // 3) RIPPLE EFFECT SYSTEM
   // ============================================
   // Creates directional ripple effect from hover entry point.
   // Ripple "rolls" across element like a wave from entry edge.
+  // Touch taps, keyboard focus and clicks get their own starting points.
 
   /**
    * Removes existing ripple if present.
    * Prevents multiple ripples stacking on quick re-hovers.
+   * Press ripples are separate (they layer over a hover ripple), so
+   * each kind only replaces its own.
+   * 
+   * @param {HTMLElement} element - Ripple container
+   * @param {boolean} [press=false] - Remove the press ripple instead
    */
-  function removeExistingRipple(element) {
-    const existing = element.querySelector(`.${CONFIG.CLASSES.RIPPLE}`);
+  function removeExistingRipple(element, press = false) {
+    const selector = `:scope > .${CONFIG.CLASSES.RIPPLE}`;
+    const existing = Array.from(element.querySelectorAll(selector)).find(
+      (ripple) => ripple.classList.contains(CONFIG.CLASSES.RIPPLE_PRESS) === press
+    );
     if (existing) existing.remove();
   }
 
@@ -285,77 +885,195 @@
    * Main ripple creation orchestrator.
    * 
    * FLOW:
-   * 1. Remove any existing ripple (cleanup)
+   * 1. Remove any existing ripple of the same kind (cleanup)
    * 2. Create new ripple span element
-   * 3. Calculate mouse position relative to element
-   * 4. Calculate entry point and push direction
-   * 5. Calculate ripple size for full coverage
-   * 6. Position ripple and set push direction
-   * 7. Append to DOM (triggers CSS animation)
-   * 8. Schedule cleanup after animation completes
-   * 
-   * @param {MouseEvent} e - Mouse event with clientX/Y
+   * 3. Ask getOrigin for the start point and push direction
+   * 4. Calculate ripple size for full coverage
+   * 5. Position ripple and set push direction
+   * 6. Append to DOM (triggers CSS animation)
+   * 7. Schedule cleanup after animation completes
+   * 
+   * ORIGINS (see the helpers below):
+   * - Mouse/pen hover → entry edge (getPointerEntry)
+   * - Touch tap, click → the pressed point (getPressPoint)
+   * - Keyboard focus → centre (getKeyboardEntry)
+   * 
    * @param {HTMLElement} element - Target element for ripple
+   * @param {Function} getOrigin - (rect) → { x, y, pushX, pushY }, relative to the element
+   * @param {boolean} [press=false] - Quick "press" ripple (click/tap) instead of the wave
    */
-  function createRipple(e, element) {
-    removeExistingRipple(element);
+  function createRipple(element, getOrigin, press = false) {
+    removeExistingRipple(element, press);
+    if (motionState.reduced) return;
 
     const ripple = document.createElement("span");
     ripple.classList.add(CONFIG.CLASSES.RIPPLE);
+    if (press) ripple.classList.add(CONFIG.CLASSES.RIPPLE_PRESS);
 
     // PERFORMANCE OPTIMIZATION: Batch layout reads before writes
     // Read all layout properties first to avoid forced reflow
     const rect = element.getBoundingClientRect();
-    const mouseX = e.clientX - rect.left;
-    const mouseY = e.clientY - rect.top;
-
-    const { x: entryX, y: entryY, pushX, pushY } = calculateEntryPoint(rect, mouseX, mouseY);
+    const { x: entryX, y: entryY, pushX, pushY } = getOrigin(rect);
     const size = calculateRippleSize(rect, entryX, entryY);
 
     // PERFORMANCE OPTIMIZATION: Batch DOM writes in requestAnimationFrame
     // Applying styles and DOM insertion together lets browser optimize layout
     requestAnimationFrame(() => {
       setRipplePosition(ripple, entryX, entryY, size, pushX, pushY);
+      element.classList.add(CONFIG.CLASSES.CONTAINER);
       element.appendChild(ripple);
 
       // Remove after animation finishes
       window.setTimeout(() => {
         if (ripple.parentNode) ripple.remove();
-      }, CONFIG.RIPPLE_DURATION);
+      }, press ? CONFIG.RIPPLE_PRESS_DURATION : CONFIG.RIPPLE_DURATION);
     });
   }
 
   /**
-   * Initializes ripple effects on all matching elements.
+   * Origin for a hover: the edge the pointer crossed.
+   * 
+   * @param {PointerEvent} e - pointerenter with clientX/Y
+   * @returns {Function} getOrigin for createRipple
+   */
+  function getPointerEntry(e) {
+    return (rect) => calculateEntryPoint(rect, e.clientX - rect.left, e.clientY - rect.top);
+  }
+
+  /**
+   * Origin for a tap or click: the point pressed, with no push.
+   * Keyboard-activated clicks have no real position (detail 0), so they
+   * start from the centre.
+   * 
+   * @param {MouseEvent|PointerEvent} e - pointerdown or click
+   * @returns {Function} getOrigin for createRipple
+   */
+  function getPressPoint(e) {
+    return (rect) => {
+      const fromKeyboard = e.type === "click" && e.detail === 0;
+      return {
+        x: fromKeyboard ? rect.width / 2 : e.clientX - rect.left,
+        y: fromKeyboard ? rect.height / 2 : e.clientY - rect.top,
+        pushX: 0,
+        pushY: 0,
+      };
+    };
+  }
+
+  /**
+   * Origin for keyboard focus: the centre, spreading evenly.
+   * Focus moves by Tab, which has no direction to follow.
+   * 
+   * @returns {Function} getOrigin for createRipple
+   */
+  function getKeyboardEntry() {
+    return (rect) => ({ x: rect.width / 2, y: rect.height / 2, pushX: 0, pushY: 0 });
+  }
+
+  /**
+   * Initializes ripple effects with delegated listeners on the document.
+   * 
+   * INPUTS:
+   * - Mouse/pen hover (pointerenter) → wave from the entry edge
+   * - Touch (pointerdown) → wave from the tap point (touch has no hover)
+   * - Keyboard focus (focusin after a key press) → wave from the centre
+   * - Click (any input) → a short "press" ripple layered on top
    * 
-   * APPROACH:
-   * - Uses hover enter/leave (not click) for ripples
-   * - Tracks hover state to prevent duplicate ripples
-   * - Removes ripple on mouse leave for clean transitions
+   * Which elements ripple is still CONFIG.RIPPLE_SELECTORS; all listeners
+   * are on the document, so elements added later are covered.
+   * 
+   * WHY CAPTURE FOR ENTER/LEAVE:
+   * - pointerenter/pointerleave don't bubble, but the capture phase still
+   *   passes through the document for every element entered
    * 
    * HOVER STATE TRACKING:
-   * - isHovering flag prevents multiple ripples on same hover
-   * - Reset on mouseleave for next hover
+   * - interactionState.hovering prevents multiple ripples on same hover
+   * - Cleared on pointerleave for next hover
+   * 
+   * @param {AbortSignal} signal - Removes the listeners (see teardown)
    */
-  function initializeRippleEffects() {
-    const elements = document.querySelectorAll(CONFIG.RIPPLE_SELECTORS);
-    if (!elements.length) return;
+  function initializeRippleEffects(signal) {
+    markRippleContainers();
 
-    elements.forEach((el) => {
-      el.classList.add(CONFIG.CLASSES.CONTAINER);
+    const getRippleElement = (target) =>
+      target instanceof Element ? target.closest(CONFIG.RIPPLE_SELECTORS) : null;
 
-      let isHovering = false;
+    document.addEventListener(
+      "pointerenter",
+      (e) => {
+        const el = e.target;
+        if (e.pointerType === "touch") return;
+        if (!(el instanceof Element) || !el.matches(CONFIG.RIPPLE_SELECTORS)) return;
+        if (interactionState.hovering.has(el)) return;
 
-      el.addEventListener("mouseenter", (e) => {
-        if (isHovering) return;
-        isHovering = true;
-        createRipple(e, el);
-      });
+        interactionState.hovering.add(el);
+        createRipple(el, getPointerEntry(e));
+      },
+      { capture: true, signal }
+    );
+
+    document.addEventListener(
+      "pointerleave",
+      (e) => {
+        const el = e.target;
+        if (!interactionState.hovering.has(el)) return;
 
-      el.addEventListener("mouseleave", () => {
-        isHovering = false;
+        interactionState.hovering.delete(el);
         removeExistingRipple(el);
-      });
+      },
+      { capture: true, signal }
+    );
+
+    document.addEventListener(
+      "pointerdown",
+      (e) => {
+        interactionState.lastInput = "pointer";
+        if (e.pointerType !== "touch") return;
+
+        const el = getRippleElement(e.target);
+        if (el) createRipple(el, getPressPoint(e));
+      },
+      { capture: true, signal }
+    );
+
+    document.addEventListener(
+      "keydown",
+      () => {
+        interactionState.lastInput = "keyboard";
+      },
+      { capture: true, signal }
+    );
+
+    document.addEventListener(
+      "focusin",
+      (e) => {
+        if (interactionState.lastInput !== "keyboard") return;
+        const el = e.target;
+        if (!(el instanceof Element) || !el.matches(CONFIG.RIPPLE_SELECTORS)) return;
+
+        createRipple(el, getKeyboardEntry());
+      },
+      { signal }
+    );
+
+    document.addEventListener(
+      "click",
+      (e) => {
+        const el = getRippleElement(e.target);
+        if (el) createRipple(el, getPressPoint(e), true);
+      },
+      { signal }
+    );
+  }
+
+  /**
+   * Adds the ripple container class to every element that can ripple.
+   * Done up front (not on first hover) so the positioning it adds
+   * never changes while the pointer is over an element.
+   */
+  function markRippleContainers() {
+    document.querySelectorAll(CONFIG.RIPPLE_SELECTORS).forEach((el) => {
+      el.classList.add(CONFIG.CLASSES.CONTAINER);
     });
   }
 
@@ -424,6 +1142,64 @@
   // ============================================
   // Handles smooth card-to-modal zoom animations with accessibility.
 
+  /**
+   * Copies a card's back face into the modal body.
+   * Shared by opening and by Previous/Next navigation.
+   * The story heading becomes the dialog's accessible name and the
+   * focus target on open (tabindex="-1": focusable, but not a Tab stop).
+   * 
+   * LAZY BODIES:
+   * - A story whose body hasn't been fetched yet opens straight away with
+   *   a placeholder (aria-busy), and the body is swapped in when it arrives
+   * - Skipped if the reader has moved to another story by then
+   * - With resume, the saved reading position is restored after the swap
+   * 
+   * SHARE BAR + TAVERN TALK:
+   * - Share bar added under the byline (section 22), reactions and
+   *   comments after the story (section 23)
+   * 
+   * @param {HTMLElement} modalBody - #featured-modal-body
+   * @param {HTMLElement} back - The card's .tarot-card-back
+   * @param {boolean} [resume=false] - Story was opened to resume reading
+   */
+  function fillModalBody(modalBody, back, resume = false) {
+    modalBody.innerHTML = back.innerHTML;
+    prepareModalTags(modalBody);
+
+    const heading = modalBody.querySelector(".article-header h3");
+    if (heading) {
+      heading.id = CONFIG.MODAL_TITLE_ID;
+      heading.tabIndex = -1;
+    }
+
+    const card = back.closest(".tarot-card");
+    if (card) {
+      renderShareBar(modalBody, card);
+      renderTavernTalk(modalBody, card);
+      syncReadAloudStory(card);
+    }
+
+    const body = modalBody.querySelector(".article-body");
+    if (!card || !body || !card.dataset.bodyUrl) return;
+
+    body.setAttribute("aria-busy", "true");
+    body.textContent = "Unrolling the scroll…";
+
+    loadArticleBody(card)
+      .then(() => {
+        if (modalState.lastCard !== card || !body.isConnected) return;
+        body.innerHTML = back.querySelector(".article-body").innerHTML;
+        body.removeAttribute("aria-busy");
+        restoreReadingPosition(resume);
+      })
+      .catch((error) => {
+        console.error("Could not load the story:", error);
+        if (!body.isConnected) return;
+        body.removeAttribute("aria-busy");
+        body.textContent = "This story couldn't be summoned. Check your connection and open it again.";
+      });
+  }
+
   /**
    * Opens modal with zoom animation from card position.
    * 
@@ -436,7 +1212,7 @@
    * 6. Force browser to commit initial transform (prevents snap)
    * 7. Add .is-opening class (triggers CSS animation)
    * 8. Listen for animationend to clean up
-   * 9. Move focus to close button (accessibility)
+   * 9. Trap focus and move it to the story heading (accessibility)
    * 
    * FORCE LAYOUT COMMIT:
    * - `void modalContent.offsetWidth` forces reflow
@@ -447,11 +1223,22 @@
    * - Saves focus position to restore later
    * - Locks body scroll (prevents background scrolling)
    * - Sets aria-hidden="false" for screen readers
-   * - Moves focus to close button
+   * - Traps Tab inside the dialog; the page behind becomes inert
+   * - Moves focus to the story heading (falls back to the close button)
+   * 
+   * REDUCED MOTION:
+   * - Skips the zoom (steps 5-8); the .modal opacity transition cross-fades it in
+   * 
+   * HISTORY:
+   * - Pushes a ?story= entry so the story can be shared and Back closes it
+   * - Skipped when the open was itself caused by the URL (fromHistory)
    * 
    * @param {HTMLElement} card - Tarot card that triggered modal
+   * @param {Object} [options]
+   * @param {boolean} [options.fromHistory=false] - Opened by deep link or Back/Forward
+   * @param {boolean} [options.resume=false] - Scroll to the saved reading position
    */
-  function openFeaturedModalFromCard(card) {
+  function openFeaturedModalFromCard(card, options = {}) {
     if (modalState.isOpen || modalState.isAnimating) return;
 
     const parts = getModalParts();
@@ -467,13 +1254,31 @@
     modalState.lastCard = card;
 
     // Fill modal body
-    modalBody.innerHTML = back.innerHTML;
+    fillModalBody(modalBody, back, options.resume);
+    updateModalStoryNav();
+
+    if (!options.fromHistory) pushStoryState(card);
+    applyStoryMetadata(card);
 
     // Show modal (so we can measure)
     modal.classList.add(CONFIG.CLASSES.MODAL_OPEN);
     modal.setAttribute("aria-hidden", "false");
     lockBodyScroll();
     modalState.isOpen = true;
+    beginReading(card, modalContent, options.resume);
+    startStoryVisit(card);
+
+    const focusDialog = () => {
+      trapFocus(modalContent);
+      const heading = modalBody.querySelector(`#${CONFIG.MODAL_TITLE_ID}`);
+      (heading || closeButton).focus({ preventScroll: true });
+    };
+
+    if (motionState.reduced) {
+      modalState.isAnimating = false;
+      focusDialog();
+      return;
+    }
 
     requestAnimationFrame(() => {
       setModalFromCardTransform(modalContent, card);
@@ -497,10 +1302,11 @@
         modalState.isAnimating = false;
 
         modalContent.removeEventListener("animationend", onEnd);
+        flushUrlSync();
       };
 
       modalContent.addEventListener("animationend", onEnd);
-      closeButton.focus();
+      focusDialog();
     });
   }
 
@@ -528,15 +1334,25 @@
    * - Prevents clicking card during close animation
    * - Avoids jarring reopen before close completes
    * 
-   * @returns {void}
+   * REDUCED MOTION:
+   * - Cleans up immediately; the .modal opacity transition cross-fades it out
+   * 
+   * HISTORY:
+   * - Removes the ?story= entry (see clearStoryState)
+   * - Skipped when the close was caused by Back/Forward (fromHistory)
+   * 
+   * @param {Object} [options]
+   * @param {boolean} [options.fromHistory=false] - Closed by Back/Forward
+   * @returns {boolean} Whether a close started (false when the modal is
+   *   already closed or mid-animation)
    */
-  function closeFeaturedModalToCard() {
-    if (!modalState.isOpen || modalState.isAnimating) return;
+  function closeFeaturedModalToCard(options = {}) {
+    if (!modalState.isOpen || modalState.isAnimating) return false;
 
     modalState.ignoreCardClicksUntil = performance.now() + CONFIG.REOPEN_GUARD_MS;
 
     const parts = getModalParts();
-    if (!parts) return;
+    if (!parts) return false;
 
     const { modal, modalContent } = parts;
 
@@ -547,10 +1363,41 @@
     }
 
     modalState.isAnimating = true;
+    stopReadAloud();
+
+    if (!options.fromHistory) clearStoryState();
+    restoreSiteMetadata();
 
     // Remove opening class if still present to avoid conflicts
     modal.classList.remove(CONFIG.CLASSES.MODAL_OPENING);
 
+    const finishClose = () => {
+      modal.classList.remove(CONFIG.CLASSES.MODAL_CLOSING);
+      modal.classList.remove(CONFIG.CLASSES.MODAL_OPEN);
+      modal.setAttribute("aria-hidden", "true");
+
+      unlockBodyScroll();
+      releaseFocusTrap(modalContent);
+      endReading();
+      endStoryVisit();
+
+      modalState.isOpen = false;
+      modalState.isAnimating = false;
+
+      // Keep card flipped after modal closes
+      // Card remains in flipped state to show the back side
+
+      if (modalState.lastFocusedElement) {
+        modalState.lastFocusedElement.focus();
+      }
+      flushUrlSync();
+    };
+
+    if (motionState.reduced) {
+      finishClose();
+      return true;
+    }
+
     // Always get fresh transform from the front of the card (which remains at original position)
     // The card front is still there, just hidden by the flip
     if (modalState.lastCard) {
@@ -582,31 +1429,16 @@
       modal.style.display = 'none';
 
       // Now safe to remove classes
-      modal.classList.remove(CONFIG.CLASSES.MODAL_CLOSING);
-      modal.classList.remove(CONFIG.CLASSES.MODAL_OPEN);
-      modal.setAttribute("aria-hidden", "true");
+      finishClose();
 
       // Reset display in next frame
       requestAnimationFrame(() => {
         modal.style.display = '';
       });
-
-      unlockBodyScroll();
-
-      modalState.isOpen = false;
-      modalState.isAnimating = false;
-
-      // Keep card flipped after modal closes
-      // Card remains in flipped state to show the back side
-
-      if (modalState.lastFocusedElement) {
-        modalState.lastFocusedElement.focus();
-      }
-
-      modalContent.removeEventListener("animationend", onEnd);
     };
 
     modalContent.addEventListener("animationend", onEnd);
+    return true;
   }
 
   /**
@@ -652,93 +1484,272 @@
   // Handles 3D card flip and delayed modal opening.
 
   /**
-   * Assigns random tarot card background images to all card fronts.
+   * Fetches the tarot deck manifest.
    * 
-   * PROCESS:
-   * 1. Define array of all available tarot card images (tarot-001 to tarot-029)
-   * 2. Create shuffled copy of array for randomization
-   * 3. For each card front, assign next image from shuffled array
-   * 4. Wrap around if more cards than images (reuse shuffled order)
+   * MANIFEST FORMAT:
+   * { "cards": [{ file, name, arcana, alt }] }
    * 
-   * RANDOMIZATION:
-   * - Fisher-Yates shuffle ensures even distribution
-   * - Each page load creates new random order
-   * - No duplicates until all images used once
+   * - file is relative to CONFIG.TAROT_DIR (e.g. "tarot-019.webp")
+   * - name is the card printed on the art ("The Star")
+   * - arcana is "major" or "minor"
+   * - alt describes the art for screen readers
    * 
-   * WHY FRONT ONLY:
-   * - Background set via inline style on .tarot-card-front
-   * - Back side (.tarot-card-back) unaffected, shows article image
-   * - Maintains card flip functionality
+   * @returns {Promise<Object[]>} Deck cards in manifest order
    */
-  function assignRandomTarotImages() {
-    // Array of all available tarot card images
-    const tarotImages = [
-      "tarot-001.webp", "tarot-002.webp", "tarot-003.webp", "tarot-004.webp",
-      "tarot-005.webp", "tarot-006.webp", "tarot-007.webp", "tarot-008.webp",
-      "tarot-009.webp", "tarot-010.webp", "tarot-011.webp", "tarot-012.webp",
-      "tarot-013.webp", "tarot-014.webp", "tarot-015.webp", "tarot-016.webp",
-      "tarot-017.webp", "tarot-018.webp", "tarot-019.webp", "tarot-020.webp",
-      "tarot-021.webp", "tarot-022.webp", "tarot-023.webp", "tarot-024.webp",
-      "tarot-025.webp", "tarot-026.webp", "tarot-027.webp", "tarot-028.webp",
-      "tarot-29.webp"
-    ];
-
-    // Fisher-Yates shuffle for random distribution
-    const shuffled = [...tarotImages];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  async function loadTarotDeck() {
+    const response = await fetch(CONFIG.TAROT_DECK_URL);
+    if (!response.ok) {
+      throw new Error(`Tarot deck request failed (${response.status})`);
     }
 
-    // Select all card fronts and assign random images
-    const cardFronts = document.querySelectorAll(".tarot-card-front");
-    cardFronts.forEach((front, index) => {
-      // Wrap around if more cards than images (reuse shuffled array)
-      const imageIndex = index % shuffled.length;
-      const imagePath = `assets/images/tarot-cards/${shuffled[imageIndex]}`;
-      front.style.backgroundImage = `url('${imagePath}')`;
-    });
+    const data = await response.json();
+    return Array.isArray(data.cards) ? data.cards.filter((card) => card && card.file) : [];
   }
 
   /**
-   * Schedules modal to open after flip animation completes.
-   * 
-   * TIMING:
-   * - Card flip: 800ms (CONFIG.FLIP_MS)
-   * - Buffer: 30ms (CONFIG.FLIP_BUFFER_MS)
-   * - Total delay: 830ms
+   * Returns a repeatable random number generator (mulberry32).
+   * The same seed always yields the same sequence, so a seeded
+   * shuffle gives every visitor the same spread.
    * 
-   * WHY DELAY:
-   * - Allows flip animation to complete visually
-   * - Prevents jarring overlap of flip + modal zoom
-   * - Creates smooth two-stage interaction
+   * @param {string} seedText - Text to hash into the seed (e.g. "2026-01-08")
+   * @returns {Function} Generator returning numbers in [0, 1)
+   */
+  function createSeededRandom(seedText) {
+    // FNV-1a hash: turns the text into a 32-bit seed
+    let seed = 2166136261;
+    for (let i = 0; i < seedText.length; i++) {
+      seed = Math.imul(seed ^ seedText.charCodeAt(i), 16777619);
+    }
+
+    return function random() {
+      seed = (seed + 0x6d2b79f5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Puts the deck in the order cards are dealt for the current mode.
    * 
-   * CANCELLATION:
-   * - Clears existing timer if called again
-   * - Prevents multiple scheduled opens
+   * MODES (CONFIG.TAROT_MODE):
+   * - "random": new Fisher-Yates shuffle on every visit
+   * - "daily":  shuffle seeded by today's UTC date, same spread for everyone
+   * - "pinned": articles with a "tarot" file keep it; the rest use the daily spread
    * 
-   * @param {HTMLElement} card - Card to open modal from
+   * @param {Object[]} cards - Deck cards from the manifest
+   * @returns {Object[]} Shuffled copy of the deck
    */
-  function scheduleOpenFromFlip(card) {
-    if (modalState.openTimer) clearTimeout(modalState.openTimer);
+  function getTarotOrder(cards) {
+    const random = CONFIG.TAROT_MODE === "random"
+      ? Math.random
+      : createSeededRandom(new Date().toISOString().slice(0, 10));
 
-    modalState.openTimer = setTimeout(() => {
-      modalState.openTimer = null;
-      openFeaturedModalFromCard(card);
-    }, CONFIG.FLIP_MS + CONFIG.FLIP_BUFFER_MS);
+    const shuffled = [...cards];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
   }
 
   /**
-   * Initializes flip and modal open logic for all tarot cards.
+   * Checks that a card image actually loads.
+   * Results are cached, so each file is requested once however many
+   * cards try it.
    * 
-   * INTERACTION FLOW:
-   * 1. User clicks/taps card
-   * 2. Check if action should be ignored (guards)
-   * 3. Toggle .flipped class (triggers CSS 3D flip)
-   * 4. If flipping to back: schedule modal open
-   * 5. If flipping to front: cancel scheduled modal open
-   * 
-   * GUARDS (prevent flip/open when):
+   * @param {string} file - Image file name from the manifest
+   * @returns {Promise<boolean>} true if the image loaded
+   */
+  function probeTarotImage(file) {
+    if (!tarotState.probes.has(file)) {
+      tarotState.probes.set(file, new Promise((resolve) => {
+        const image = new Image();
+        image.onload = () => resolve(true);
+        image.onerror = () => {
+          console.warn(`Tarot image missing: ${file}`);
+          resolve(false);
+        };
+        image.src = `${CONFIG.TAROT_DIR}${file}`;
+      }));
+    }
+    return tarotState.probes.get(file);
+  }
+
+  /**
+   * Deals the first card from the candidates that is unused and loads.
+   * Candidates are tried in order, so the same deck order always deals
+   * the same cards, even when an image is missing.
+   * 
+   * @param {Object[]} candidates - Deck cards in preference order
+   * @param {Set<string>} skip - Files that must not be dealt
+   * @returns {Promise<Object|null>} Dealt card, or null if none loads
+   */
+  async function dealTarotCard(candidates, skip) {
+    for (const candidate of candidates) {
+      if (skip.has(candidate.file)) continue;
+      if (await probeTarotImage(candidate.file)) return candidate;
+    }
+    return null;
+  }
+
+  /**
+   * Paints a deck card onto a card front and labels it.
+   * 
+   * ACCESSIBILITY:
+   * - The front becomes a group named after the card ("The Star tarot card")
+   * - The art is described by a screen-reader-only line (manifest alt text)
+   * 
+   * @param {HTMLElement} front - .tarot-card-front
+   * @param {Object} deckCard - Card from the manifest
+   */
+  function applyTarotCard(front, deckCard) {
+    front.style.backgroundImage = `url('${CONFIG.TAROT_DIR}${deckCard.file}')`;
+    front.dataset.tarot = deckCard.file;
+    front.setAttribute("role", "group");
+    front.setAttribute("aria-label", `${deckCard.name} tarot card`);
+
+    let description = front.querySelector(".tarot-card-art");
+    if (!description) {
+      description = createElement("span", "screen-reader-text tarot-card-art");
+      description.id = `tarot-art-${front.closest(".tarot-card").dataset.cardId}`;
+      front.appendChild(description);
+      front.setAttribute("aria-describedby", description.id);
+    }
+    description.textContent = deckCard.alt || "";
+  }
+
+  /**
+   * Assigns tarot card images from the deck manifest to card fronts.
+   * Fronts that already have one are left alone, so calling it again
+   * after more cards render only deals the new ones, continuing the
+   * same order without repeating a card already on the page.
+   * 
+   * PROCESS:
+   * 1. Load the manifest and put it in deal order (see getTarotOrder)
+   * 2. Start loading the images the spread will most likely use
+   * 3. Walk the fronts in page order, dealing each one a card
+   * 4. If every card is dealt, start again (more stories than cards)
+   * 
+   * MISSING IMAGES:
+   * - Each image is probed before it is shown
+   * - A missing file is skipped and the next card in the order is dealt
+   * - If the manifest itself fails, fronts keep their CSS gradient
+   * 
+   * PINNED MODE:
+   * - A card's data-tarot (the article's "tarot" field) is tried first
+   * - Pinned files are held back from unpinned cards so they never repeat
+   * 
+   * WHY FRONT ONLY:
+   * - Background set via inline style on .tarot-card-front
+   * - Back side (.tarot-card-back) unaffected, shows article image
+   * - Maintains card flip functionality
+   */
+  async function assignTarotImages() {
+    let deck;
+    try {
+      if (!tarotState.deck) tarotState.deck = loadTarotDeck();
+      deck = await tarotState.deck;
+    } catch (error) {
+      console.error("Could not load the tarot deck:", error);
+      tarotState.deck = null;
+      return;
+    }
+
+    // Fronts already dealt keep their card (later pages only deal new ones)
+    const allFronts = Array.from(document.querySelectorAll(".tarot-card-front"));
+    const fronts = allFronts.filter((front) => !front.dataset.tarot && !front.dataset.dealing);
+    if (!fronts.length) return;
+    fronts.forEach((front) => { front.dataset.dealing = "true"; });
+
+    const order = getTarotOrder(deck);
+    const byFile = new Map(deck.map((deckCard) => [deckCard.file, deckCard]));
+
+    const pins = fronts.map((front) => {
+      const pin = front.closest(".tarot-card").dataset.tarot;
+      return CONFIG.TAROT_MODE === "pinned" && byFile.has(pin) ? byFile.get(pin) : null;
+    });
+    const pinnedFiles = new Set(pins.filter(Boolean).map((pin) => pin.file));
+
+    // Probe in parallel; dealing below awaits them in a fixed order
+    pins.filter(Boolean).concat(order.slice(0, fronts.length))
+      .forEach((deckCard) => probeTarotImage(deckCard.file));
+
+    const dealt = new Set(
+      allFronts.map((front) => front.dataset.tarot).filter((file) => file && !pinnedFiles.has(file))
+    );
+    for (let i = 0; i < fronts.length; i++) {
+      let deckCard = null;
+
+      if (pins[i] && await probeTarotImage(pins[i].file)) {
+        deckCard = pins[i];
+      } else {
+        const skip = new Set([...pinnedFiles, ...dealt]);
+        deckCard = await dealTarotCard(order, skip);
+
+        // Whole deck dealt: reuse it in the same order
+        if (!deckCard && dealt.size) {
+          dealt.clear();
+          deckCard = await dealTarotCard(order, pinnedFiles);
+        }
+      }
+
+      delete fronts[i].dataset.dealing;
+      if (!deckCard) continue;
+      dealt.add(deckCard.file);
+      applyTarotCard(fronts[i], deckCard);
+    }
+  }
+
+  /**
+   * Schedules modal to open after flip animation completes.
+   * 
+   * TIMING:
+   * - Card flip: 800ms (CONFIG.FLIP_MS)
+   * - Buffer: 30ms (CONFIG.FLIP_BUFFER_MS)
+   * - Total delay: 830ms
+   * 
+   * WHY DELAY:
+   * - Allows flip animation to complete visually
+   * - Prevents jarring overlap of flip + modal zoom
+   * - Creates smooth two-stage interaction
+   * 
+   * REDUCED MOTION:
+   * - The flip is instant (no CSS transition), so there is nothing to wait for
+   * 
+   * CANCELLATION:
+   * - Clears existing timer if called again
+   * - Prevents multiple scheduled opens
+   * 
+   * @param {HTMLElement} card - Card to open modal from
+   */
+  function scheduleOpenFromFlip(card) {
+    if (modalState.openTimer) clearTimeout(modalState.openTimer);
+
+    const delay = motionState.reduced ? 0 : CONFIG.FLIP_MS + CONFIG.FLIP_BUFFER_MS;
+
+    modalState.openTimer = setTimeout(() => {
+      modalState.openTimer = null;
+      openFeaturedModalFromCard(card);
+    }, delay);
+  }
+
+  /**
+   * Initializes flip and modal open logic with delegated listeners on
+   * the feed grids (one click + one keydown per grid, not per card).
+   * 
+   * INTERACTION FLOW:
+   * 1. User clicks/taps card
+   * 2. Check if action should be ignored (guards)
+   * 3. Toggle .flipped class (triggers CSS 3D flip)
+   * 4. If flipping to back: schedule modal open
+   * 5. If flipping to front: cancel scheduled modal open
+   * 
+   * WHY DELEGATE:
+   * - Cards rendered later (load more, re-sorts, other scripts) work
+   *   without binding anything
+   * 
+   * GUARDS (prevent flip/open when):
    * - Click is within reopen guard period
    * - Click target is interactive element (link, button, etc.)
    * - Modal is already open or animating
@@ -747,42 +1758,73 @@
    * - Supports Enter and Space keys
    * - Prevents default to avoid page scroll on Space
    * 
-   * FLIP TOGGLE:
-   * - Returns true when flipping TO back (front → back)
-   * - Returns false when flipping TO front (back → front)
-   * - Only opens modal when flipping to back
+   * @param {AbortSignal} signal - Removes the listeners (see teardown)
    */
-  function initializeTarotCards() {
-    const cards = document.querySelectorAll(".tarot-card");
-    if (!cards.length) return;
+  function initializeTarotCards(signal) {
+    Object.values(CONFIG.FEED_GRIDS).forEach((selector) => {
+      const grid = document.querySelector(selector);
+      if (!grid) return;
 
-    cards.forEach((card) => {
-      const tryFlipAndOpen = (e) => {
-        if (performance.now() < modalState.ignoreCardClicksUntil) return;
-        if (isInteractiveTarget(e.target)) return;
-        if (modalState.isOpen || modalState.isAnimating) return;
-
-        // Flip and only open when flipping to the back
-        const isNowFlipped = card.classList.toggle(CONFIG.CLASSES.FLIPPED);
-
-        if (isNowFlipped) {
-          scheduleOpenFromFlip(card);
-        } else if (modalState.openTimer) {
-          clearTimeout(modalState.openTimer);
-          modalState.openTimer = null;
-        }
+      const getCard = (e) => {
+        const card = e.target.closest(".tarot-card");
+        return card && grid.contains(card) ? card : null;
       };
 
-      card.addEventListener("click", tryFlipAndOpen);
+      grid.addEventListener(
+        "click",
+        (e) => {
+          const card = getCard(e);
+          if (card) tryFlipAndOpen(card, e);
+        },
+        { signal }
+      );
 
-      card.addEventListener("keydown", (e) => {
-        if (e.key !== "Enter" && e.key !== " ") return;
-        e.preventDefault();
-        tryFlipAndOpen(e);
-      });
+      grid.addEventListener(
+        "keydown",
+        (e) => {
+          if (e.key !== "Enter" && e.key !== " ") return;
+          const card = getCard(e);
+          if (!card || isInteractiveTarget(e.target)) return;
+          e.preventDefault();
+          tryFlipAndOpen(card, e);
+        },
+        { signal }
+      );
     });
   }
 
+  /**
+   * Flips a card and schedules (or cancels) the modal open.
+   * 
+   * FLIP TOGGLE:
+   * - Flipping TO the back schedules the modal open
+   * - Flipping back TO the front cancels a scheduled open
+   * 
+   * BODY PREFETCH:
+   * - Flipping to the back starts fetching the story body, so it is
+   *   usually in place by the time the modal opens
+   * 
+   * @param {HTMLElement} card - Tarot card
+   * @param {Event} e - Click or keydown (its target is checked by the guards)
+   */
+  function tryFlipAndOpen(card, e) {
+    if (performance.now() < modalState.ignoreCardClicksUntil) return;
+    if (isInteractiveTarget(e.target)) return;
+    if (modalState.isOpen || modalState.isAnimating) return;
+
+    // Flip and only open when flipping to the back
+    const isNowFlipped = card.classList.toggle(CONFIG.CLASSES.FLIPPED);
+    trackActivity("card_flip", getStoryKey(card), { side: isNowFlipped ? "back" : "front" });
+
+    if (isNowFlipped) {
+      loadArticleBody(card).catch(() => {});  // Errors show in the modal
+      scheduleOpenFromFlip(card);
+    } else if (modalState.openTimer) {
+      clearTimeout(modalState.openTimer);
+      modalState.openTimer = null;
+    }
+  }
+
   // ============================================
   // 7) HAMBURGER MENU
   // ============================================
@@ -796,6 +1838,8 @@
    * - Close menu when clicking outside (mobile only)
    * - Close menu on ESC key (mobile only)
    * - Close menu after clicking nav link (mobile only)
+   * - Stay open under search / subscribe opened from it; its focus trap
+   *   returns when they close (see trapFocus)
    * 
    * MOBILE-ONLY BEHAVIOR:
    * - Checks window width vs MOBILE_BREAKPOINT
@@ -803,79 +1847,5862 @@
    * 
    * ACCESSIBILITY:
    * - Updates aria-expanded attribute
+   * - Traps Tab inside the open menu (see trapFocus)
    * - Restores focus to hamburger on ESC close
    * - Keyboard and mouse support
    */
   function initializeHamburgerMenu() {
     const hamburgerButton = document.querySelector(".hamburger-menu");
     const navMenu = document.querySelector(".nav-list");
+    const primaryNav = document.querySelector(".primary-nav");
 
-    if (!hamburgerButton || !navMenu) return;
+    if (!hamburgerButton || !navMenu || !primaryNav) return;
 
-    hamburgerButton.addEventListener("click", () => {
-      const isExpanded = hamburgerButton.getAttribute("aria-expanded") === "true";
-      hamburgerButton.setAttribute("aria-expanded", String(!isExpanded));
-      navMenu.classList.toggle(CONFIG.CLASSES.NAV_ACTIVE);
-    });
+    const isMenuOpen = () => navMenu.classList.contains(CONFIG.CLASSES.NAV_ACTIVE);
 
-    // Close when clicking outside (mobile only)
-    document.addEventListener("click", (e) => {
-      const isMobile = window.innerWidth < CONFIG.MOBILE_BREAKPOINT;
-      if (!isMobile) return;
+    // A dialog opened from the menu (search, subscribe) traps focus over it.
+    // Clicks and Escape in that dialog are its own, so both listeners below
+    // run in the capture phase, before the dialog closes and the menu's trap
+    // comes back.
+    const isMenuOnTop = () => focusTrapState.container === primaryNav;
 
-      if (!hamburgerButton.contains(e.target) && !navMenu.contains(e.target)) {
-        if (navMenu.classList.contains(CONFIG.CLASSES.NAV_ACTIVE)) {
-          hamburgerButton.setAttribute("aria-expanded", "false");
-          navMenu.classList.remove(CONFIG.CLASSES.NAV_ACTIVE);
-        }
+    // Open menu traps focus in the nav (hamburger + links); the page behind goes inert
+    const openMenu = () => {
+      hamburgerButton.setAttribute("aria-expanded", "true");
+      navMenu.classList.add(CONFIG.CLASSES.NAV_ACTIVE);
+      trapFocus(primaryNav);
+    };
+
+    const closeMenu = () => {
+      hamburgerButton.setAttribute("aria-expanded", "false");
+      navMenu.classList.remove(CONFIG.CLASSES.NAV_ACTIVE);
+      releaseFocusTrap(primaryNav);
+    };
+
+    hamburgerButton.addEventListener("click", () => {
+      if (isMenuOpen()) {
+        closeMenu();
+      } else {
+        openMenu();
       }
     });
 
+    // Close when clicking outside (mobile only); dialog openers keep it open
+    document.addEventListener(
+      "click",
+      (e) => {
+        const isMobile = window.innerWidth < CONFIG.MOBILE_BREAKPOINT;
+        if (!isMobile || !isMenuOpen() || !isMenuOnTop()) return;
+        if (e.target instanceof Element && e.target.closest("[aria-haspopup='dialog']")) return;
+
+        if (!hamburgerButton.contains(e.target) && !navMenu.contains(e.target)) closeMenu();
+      },
+      true
+    );
+
     // ESC closes (mobile only)
-    document.addEventListener("keydown", (e) => {
-      const isMobile = window.innerWidth < CONFIG.MOBILE_BREAKPOINT;
-      if (!isMobile) return;
+    document.addEventListener(
+      "keydown",
+      (e) => {
+        const isMobile = window.innerWidth < CONFIG.MOBILE_BREAKPOINT;
+        if (!isMobile) return;
 
-      if (e.key === "Escape" && navMenu.classList.contains(CONFIG.CLASSES.NAV_ACTIVE)) {
-        hamburgerButton.setAttribute("aria-expanded", "false");
-        navMenu.classList.remove(CONFIG.CLASSES.NAV_ACTIVE);
-        hamburgerButton.focus();
-      }
+        if (e.key === "Escape" && isMenuOpen() && isMenuOnTop()) {
+          closeMenu();
+          hamburgerButton.focus();
+        }
+      },
+      true
+    );
+
+    // Growing past the breakpoint hides the hamburger; drop the menu (and its trap)
+    window.addEventListener("resize", () => {
+      if (window.innerWidth >= CONFIG.MOBILE_BREAKPOINT && isMenuOpen()) closeMenu();
     });
 
     // Clicking nav links closes menu (mobile only)
     navMenu.querySelectorAll(".nav-item a").forEach((link) => {
       link.addEventListener("click", () => {
         if (window.innerWidth < CONFIG.MOBILE_BREAKPOINT) {
-          hamburgerButton.setAttribute("aria-expanded", "false");
-          navMenu.classList.remove(CONFIG.CLASSES.NAV_ACTIVE);
+          closeMenu();
         }
       });
     });
   }
 
   // ============================================
-  // 8) INITIALIZATION
+  // 8) ARTICLE CONTENT FEED
   // ============================================
-  // Orchestrates initialization of all interactive features.
+  // Builds every tarot card from articles.json.
+  // Each story's metadata is written once and reused for both card faces.
+  // Latest Articles render a page at a time ("Summon more stories"), and
+  // each story's full body is fetched from its bodyUrl when it is opened.
 
   /**
-   * Master initialization function.
-   * Calls all feature initialization functions in order.
+   * Fetches the article feed.
    * 
-   * ORDER:
-   * 1. Random tarot images (visual enhancement, must run before user interaction)
-   * 2. Ripple effects (non-blocking visual enhancement)
-   * 3. Tarot cards (core interaction)
-   * 4. Modal (depends on cards being initialized)
-   * 5. Hamburger menu (independent feature)
+   * FEED FORMAT:
+   * { "articles": [{ id, slug, section, title, author, date, category,
+   *                  tags, excerpt, image: { src, alt, width, height },
+   *                  bodyUrl, tarot? }] }
+   * 
+   * - slug names the story in shareable URLs (?story=moon-measure)
+   * - tarot (optional) pins a deck file to the card front in "pinned" mode
+   * - date is ISO (YYYY-MM-DD) so it can be sorted and reformatted
+   * - bodyUrl points at the story's HTML (articles/<slug>.html), trusted
+   *   HTML written by the editors; only fetched when the story is opened
+   * 
+   * @returns {Promise<Object[]>} Article records in display order
+   */
+  async function loadArticles() {
+    const response = await fetch(CONFIG.ARTICLES_URL);
+    if (!response.ok) {
+      throw new Error(`Article feed request failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    return Array.isArray(data.articles) ? data.articles : [];
+  }
+
+  /**
+   * Formats an ISO date (YYYY-MM-DD) as "January 8, 2026".
+   * Parsed as local midnight so the day never shifts across time zones.
+   * 
+   * @param {string} isoDate - Date from the feed
+   * @returns {string} Human-readable date
+   */
+  function formatArticleDate(isoDate) {
+    const date = new Date(`${isoDate}T00:00:00`);
+    return date.toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+  }
+
+  /**
+   * Formats an ISO date relative to today: "today", "yesterday",
+   * "3 days ago", "2 weeks ago", "last month", "2 years ago".
+   * Counts whole calendar days, so a story from last night is
+   * "yesterday" even if it is less than 24 hours old.
+   * 
+   * Each unit is rounded first and moves up once it reaches the next one,
+   * so 29 days is "last month" (not "4 weeks ago") and 350 days is
+   * "last year" (not "12 months ago").
+   * 
+   * @param {string} isoDate - Date from the feed
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {string} Relative date text
+   */
+  function formatRelativeDate(isoDate, now = new Date()) {
+    const date = new Date(`${isoDate}T00:00:00`);
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const days = Math.round((date - today) / 86400000);
+    const formatter = new Intl.RelativeTimeFormat("en", { numeric: "auto" });
+
+    if (Math.abs(days) < 7) return formatter.format(days, "day");
+
+    const weeks = Math.round(days / 7);
+    if (Math.abs(weeks) < 4) return formatter.format(weeks, "week");
+
+    const months = Math.round(days / 30);
+    if (Math.abs(months) < 12) return formatter.format(months, "month");
+
+    return formatter.format(Math.round(days / 365), "year");
+  }
+
+  /**
+   * Creates the <header> holding the article title.
+   * 
+   * @param {Object} article - Feed record
+   * @param {string} [headingId] - id for the h3 (front face only, used by aria-labelledby)
+   * @returns {HTMLElement} Header element
+   */
+  function buildArticleHeader(article, headingId) {
+    const header = createElement("header", "article-header");
+    const heading = createElement("h3", "", article.title);
+    if (headingId) heading.id = headingId;
+    header.appendChild(heading);
+    return header;
+  }
+
+  /**
+   * Creates the author/date row, optionally with the category.
+   * 
+   * @param {Object} article - Feed record
+   * @param {boolean} includeCategory - Back face shows the category, front does not
+   * @returns {HTMLElement} .article-meta element
+   */
+  function buildArticleMeta(article, includeCategory) {
+    const meta = createElement("div", "article-meta");
+    meta.appendChild(createElement("span", "article-author", `By: ${article.author}`));
+
+    // Relative text ("3 days ago"); full date in the tooltip, ISO date for sorting
+    const date = createElement("time", "article-date", formatRelativeDate(article.date));
+    date.dateTime = article.date;
+    date.title = formatArticleDate(article.date);
+    meta.appendChild(date);
+
+    if (includeCategory) {
+      meta.appendChild(createElement("span", "article-category", `Category: ${article.category}`));
+    }
+    return meta;
+  }
+
+  /**
+   * Creates one tarot card article from a feed record.
+   * 
+   * STRUCTURE (matches the CSS flip system):
+   * article.tarot-card
+   *   └── .tarot-card-inner
+   *         ├── .tarot-card-front  (title, author, date)
+   *         └── .tarot-card-back   (title, meta + category, image,
+   *                                 excerpt, body (empty until opened), tags)
+   * 
+   * @param {Object} article - Feed record
+   * @param {boolean} lazyImage - Defer image loading (below-the-fold cards)
+   * @returns {HTMLElement} Card element
+   */
+  function buildTarotCard(article, lazyImage) {
+    const headingId = `article-${article.id}-title`;
+
+    const card = createElement("article", "article featured-article tarot-card");
+    card.tabIndex = 0;
+    card.setAttribute("aria-labelledby", headingId);
+    card.dataset.cardId = String(article.id);
+    if (article.slug) card.dataset.slug = article.slug;
+    if (article.tarot) card.dataset.tarot = article.tarot;
+
+    const inner = createElement("div", "tarot-card-inner");
+
+    // Front of card (minimal info)
+    const front = createElement("div", "tarot-card-front");
+    front.appendChild(buildArticleHeader(article, headingId));
+    front.appendChild(buildArticleMeta(article, false));
+
+    // Back of card (full content)
+    const back = createElement("div", "tarot-card-back");
+    back.appendChild(buildArticleHeader(article));
+    back.appendChild(buildArticleMeta(article, true));
+
+    if (article.image) {
+      const image = createElement("img", "article-image");
+      image.src = article.image.src;
+      image.alt = article.image.alt || "";
+      if (article.image.width) image.width = article.image.width;
+      if (article.image.height) image.height = article.image.height;
+      if (lazyImage) image.loading = "lazy";
+      back.appendChild(image);
+    }
+
+    back.appendChild(createElement("p", "article-excerpt", article.excerpt));
+
+    // Body arrives later (loadArticleBody); an inline body is still accepted
+    const body = createElement("div", "article-body");
+    if (article.body) {
+      body.innerHTML = article.body;
+    } else if (article.bodyUrl) {
+      card.dataset.bodyUrl = article.bodyUrl;
+    }
+    back.appendChild(body);
+
+    const tagList = createElement("div", "tag-list");
+    tagList.setAttribute("role", "group");
+    tagList.setAttribute("aria-label", "Tags");
+    (article.tags || []).forEach((tag) => tagList.appendChild(createElement("span", "tag", tag)));
+    back.appendChild(tagList);
+
+    inner.appendChild(front);
+    inner.appendChild(back);
+    card.appendChild(inner);
+    return card;
+  }
+
+  /**
+   * Renders feed records into their section grids.
+   * 
+   * - Each record's "section" picks the grid via CONFIG.FEED_GRIDS
+   * - Featured cards all render, with images loaded eagerly
+   * - Latest records are sorted (see section 19) and only the first
+   *   page renders; the rest wait for loadMoreLatest()
+   * 
+   * @param {Object[]} articles - Feed records in display order
+   */
+  function renderArticles(articles) {
+    feedState.articles = articles;
+
+    const featuredGrid = document.querySelector(CONFIG.FEED_GRIDS.featured);
+    if (featuredGrid) {
+      const fragment = document.createDocumentFragment();
+      articles
+        .filter((article) => article.section === "featured")
+        .forEach((article) => fragment.appendChild(getArticleCard(article)));
+      featuredGrid.replaceChildren(fragment);
+    }
+
+    feedState.latest = sortArticles(articles.filter((article) => article.section === "latest"));
+    feedState.latestShown = 0;
+    renderLatest(CONFIG.LATEST_PAGE_SIZE);
+  }
+
+  /**
+   * Returns the card for a feed record, building it the first time.
+   * Cards are kept, so re-sorting moves them instead of rebuilding
+   * (their flip state, tarot front and badges survive).
+   * 
+   * @param {Object} article - Feed record
+   * @returns {HTMLElement} Card element
+   */
+  function getArticleCard(article) {
+    if (!feedState.cards.has(article.id)) {
+      feedState.cards.set(article.id, buildTarotCard(article, article.section !== "featured"));
+    }
+    return feedState.cards.get(article.id);
+  }
+
+  /**
+   * Shows the first `count` Latest records, in feedState.latest order.
+   * Cards already in the grid are moved, not rebuilt.
+   * 
+   * @param {number} count - How many Latest stories to show
+   * @returns {HTMLElement[]} Cards new to the page (need refreshCards)
+   */
+  function renderLatest(count) {
+    const grid = document.querySelector(CONFIG.FEED_GRIDS.latest);
+    if (!grid) return [];
+
+    const shown = feedState.latest.slice(0, Math.min(count, feedState.latest.length)).map(getArticleCard);
+    const newCards = shown.filter((card) => !card.isConnected);
+
+    grid.replaceChildren(...shown);
+    feedState.latestShown = shown.length;
+    updateLoadMore();
+    return newCards;
+  }
+
+  /**
+   * Brings cards added after initialization in line with the rest:
+   * tarot fronts, ripple containers, "New"/"Read" markers and the
+   * active filters. Flip, open and ripple listeners are delegated
+   * (see initializeTarotCards), so there is nothing to bind.
+   */
+  function refreshCards() {
+    assignTarotImages();
+    markRippleContainers();
+    markNewStories(getLastVisit());
+    updateReadMarkers();
+    applyFilters(false);
+  }
+
+  /**
+   * Returns every story's card: rendered ones in page order, then Latest
+   * stories not summoned yet (built off-page, in sort order).
+   * Lets search and tag counts cover the whole feed, not just one page.
+   * 
+   * @returns {HTMLElement[]} Tarot cards
+   */
+  function getAllStoryCards() {
+    return [
+      ...document.querySelectorAll(".tarot-card"),
+      ...feedState.latest.slice(feedState.latestShown).map(getArticleCard),
+    ];
+  }
+
+  /**
+   * Shows or hides "Summon more stories" and updates its count.
+   */
+  function updateLoadMore() {
+    const button = document.querySelector(".load-more-btn");
+    if (!button) return;
+
+    const remaining = feedState.latest.length - feedState.latestShown;
+    button.hidden = remaining <= 0;
+    button.textContent = `Summon more stories (${remaining} left)`;
+  }
+
+  /**
+   * @returns {boolean} True if some Latest stories are not rendered yet
+   */
+  function hasMoreLatest() {
+    return feedState.latestShown < feedState.latest.length;
+  }
+
+  /**
+   * Renders the next page of Latest Articles.
+   * 
+   * FLOW:
+   * 1. Record where the current cards are (for the reflow)
+   * 2. Append the next CONFIG.LATEST_PAGE_SIZE cards and refresh them
+   * 3. Fade the new cards in (same FLIP as filtering)
+   * 4. Announce how many arrived
+   * 
+   * ACCESSIBILITY:
+   * - With focusFirst, focus moves to the first new visible card, so
+   *   keyboard users continue from where the new stories start
+   * 
+   * @param {Object} [options]
+   * @param {boolean} [options.focusFirst=false] - Focus the first new card (button click)
+   * @returns {HTMLElement[]} Newly rendered cards
+   */
+  function loadMoreLatest(options = {}) {
+    if (!hasMoreLatest()) return [];
+
+    const grid = document.querySelector(CONFIG.FEED_GRIDS.latest);
+    const existing = grid ? Array.from(grid.querySelectorAll(".tarot-card")) : [];
+    const before = captureCardPositions(existing);
+
+    const newCards = renderLatest(feedState.latestShown + CONFIG.LATEST_PAGE_SIZE);
+    refreshCards();
+    playGridReflow([...existing, ...newCards], before);
+
+    const status = document.querySelector("#load-more-status");
+    if (status) {
+      const noun = newCards.length === 1 ? "story" : "stories";
+      status.textContent = `${newCards.length} more ${noun} summoned. Showing ${feedState.latestShown} of ${feedState.latest.length}.`;
+    }
+
+    if (options.focusFirst) {
+      const firstVisible = newCards.find((card) => !card.hidden);
+      if (firstVisible) firstVisible.focus();
+    }
+
+    return newCards;
+  }
+
+  /**
+   * Returns the card for a story, rendering Latest pages until it exists.
+   * Used by deep links, search results and "Continue reading".
+   * 
+   * @param {string|null} story - Slug or card id
+   * @returns {HTMLElement|null} Card, or null if the feed has no such story
+   */
+  function ensureStoryCard(story) {
+    const existing = findCardByStory(story);
+    if (existing) return existing;
+
+    const index = feedState.latest.indexOf(findArticleByStory(story));
+    if (index === -1) return null;
+
+    const pages = Math.ceil((index + 1) / CONFIG.LATEST_PAGE_SIZE);
+    if (renderLatest(pages * CONFIG.LATEST_PAGE_SIZE).length) refreshCards();
+    return findCardByStory(story);
+  }
+
+  /**
+   * Fetches a card's body the first time it is needed.
+   * The HTML goes into the card's own .article-body, so later opens,
+   * the flipped card and search all see it.
+   * 
+   * FAILURE:
+   * - The cached request is dropped, so the next open tries again
+   * 
+   * @param {HTMLElement} card - Tarot card
+   * @returns {Promise<void>} Resolves once the body is in the card
+   */
+  function loadArticleBody(card) {
+    const url = card.dataset.bodyUrl;
+    if (!url) return Promise.resolve();
+
+    const id = card.dataset.cardId;
+    if (!feedState.bodies.has(id)) {
+      const request = fetch(url)
+        .then((response) => {
+          if (!response.ok) throw new Error(`Story body request failed (${response.status})`);
+          return response.text();
+        })
+        .then((html) => {
+          const body = card.querySelector(".tarot-card-back .article-body");
+          if (body) body.innerHTML = html;
+          delete card.dataset.bodyUrl;
+        })
+        .catch((error) => {
+          feedState.bodies.delete(id);
+          throw error;
+        });
+
+      feedState.bodies.set(id, request);
+    }
+    return feedState.bodies.get(id);
+  }
+
+  /**
+   * Sets up "Summon more stories" (and infinite scroll when enabled).
+   * 
+   * INFINITE SCROLL (CONFIG.INFINITE_SCROLL):
+   * - An IntersectionObserver loads the next page as the button nears
+   *   the viewport; the button stays as the keyboard/no-observer fallback
+   * 
+   * @param {AbortSignal} signal - Removes the listener and observer (see teardown)
    */
-  function initializeAll() {
-    assignRandomTarotImages();
-    initializeRippleEffects();
-    initializeTarotCards();
+  function initializeLoadMore(signal) {
+    const button = document.querySelector(".load-more-btn");
+    if (!button) return;
+
+    updateLoadMore();
+    button.addEventListener("click", () => loadMoreLatest({ focusFirst: true }), { signal });
+
+    if (!CONFIG.INFINITE_SCROLL || !("IntersectionObserver" in window)) return;
+
+    feedState.observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting) && !button.hidden) loadMoreLatest();
+      },
+      { rootMargin: CONFIG.INFINITE_SCROLL_MARGIN }
+    );
+    feedState.observer.observe(button);
+
+    signal.addEventListener("abort", () => {
+      feedState.observer.disconnect();
+      feedState.observer = null;
+    });
+  }
+
+  /**
+   * Shows a short notice in each grid when the feed cannot be loaded
+   * (most often because index.html was opened from file:// instead of a server).
+   */
+  function showFeedError() {
+    Object.values(CONFIG.FEED_GRIDS).forEach((selector) => {
+      const grid = document.querySelector(selector);
+      if (!grid) return;
+      grid.replaceChildren(
+        createElement("p", "feed-status", "The stories could not be summoned. Please try again shortly.")
+      );
+    });
+  }
+
+  // ============================================
+  // 9) SITE SEARCH
+  // ============================================
+  // Client-side full-text search over every rendered story.
+  // Opened from the magnifier button; picking a result scrolls to the
+  // card and opens it through the normal flip → modal flow.
+
+  /**
+   * Validates and retrieves all search overlay DOM elements.
+   * Returns null if any required element is missing (fail-fast pattern).
+   * 
+   * @returns {Object|null} Object with search parts or null if incomplete
+   */
+  function getSearchParts() {
+    const overlay = document.querySelector(CONFIG.SEARCH_ID);
+    if (!overlay) return null;
+
+    const panel = overlay.querySelector(".search-panel");
+    const input = overlay.querySelector(".search-input");
+    const resultsList = overlay.querySelector(".search-results");
+    const status = overlay.querySelector(".search-status");
+    const closeButton = overlay.querySelector(".search-close");
+
+    if (!panel || !input || !resultsList || !status || !closeButton) return null;
+
+    return { overlay, panel, input, resultsList, status, closeButton };
+  }
+
+  /**
+   * Normalizes text for matching: lowercase, accents removed.
+   * "Café" and "cafe" then compare equal.
+   * 
+   * @param {string} text - Raw text
+   * @returns {string} Normalized text
+   */
+  function normalizeSearchText(text) {
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+  }
+
+  /**
+   * Splits a query into unique, normalized terms.
+   * 
+   * @param {string} query - What the reader typed
+   * @returns {string[]} Search terms (e.g. "Unicorn horn" → ["unicorn", "horn"])
+   */
+  function tokenizeQuery(query) {
+    const terms = normalizeSearchText(query).split(/[^a-z0-9]+/).filter(Boolean);
+    return [...new Set(terms)];
+  }
+
+  /**
+   * Escapes a string for use inside a RegExp.
+   * 
+   * @param {string} text - Literal text
+   * @returns {string} Escaped pattern source
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  /**
+   * Reads searchable text from every tarot card.
+   * 
+   * WHY READ THE DOM:
+   * - Search covers exactly what is on the page, however it got there
+   * - Rebuilt on every open, so it never drifts from the grids
+   * 
+   * MORE STORIES:
+   * - Latest stories not summoned yet are searched too (see getAllStoryCards)
+   * - Bodies are only searchable once fetched (title, excerpt and tags
+   *   always are)
+   * 
+   * @returns {Object[]} Records with original and normalized field text
+   */
+  function buildSearchIndex() {
+    return getAllStoryCards().map((card, order) => {
+      const back = card.querySelector(".tarot-card-back");
+      const readText = (selector) => {
+        const element = back ? back.querySelector(selector) : null;
+        return element ? element.textContent.replace(/\s+/g, " ").trim() : "";
+      };
+
+      const title = readText(".article-header h3");
+      const excerpt = readText(".article-excerpt");
+      const body = readText(".article-body");
+      const category = getCardCategory(card);
+      const tags = back ? getCardTags(back) : [];
+
+      return {
+        card,
+        order,
+        title,
+        excerpt,
+        body,
+        category,
+        tags,
+        normalized: {
+          title: normalizeSearchText(title),
+          excerpt: normalizeSearchText(excerpt),
+          body: normalizeSearchText(body),
+          tags: normalizeSearchText(tags.join(" | ")),
+        },
+      };
+    });
+  }
+
+  /**
+   * Scores one record against the query terms.
+   * 
+   * RANKING:
+   * 1. Every term must match somewhere (AND search) or the score is 0
+   * 2. Each word-start match earns its field weight (title > tags > excerpt > body)
+   * 3. Repeats in one field are capped at 5 so long bodies can't drown titles
+   * 4. The whole query appearing in the title earns a bonus
+   * 
+   * @param {Object} record - Search index record
+   * @param {string[]} terms - Normalized query terms
+   * @param {string} phrase - Normalized full query
+   * @returns {number} Relevance score (0 = no match)
+   */
+  function scoreSearchRecord(record, terms, phrase) {
+    let score = 0;
+
+    for (const term of terms) {
+      const pattern = new RegExp(`\\b${escapeRegExp(term)}`, "g");
+      let termScore = 0;
+
+      Object.entries(CONFIG.SEARCH_WEIGHTS).forEach(([field, weight]) => {
+        const matches = record.normalized[field].match(pattern);
+        if (matches) termScore += weight * Math.min(matches.length, 5);
+      });
+
+      if (termScore === 0) return 0;
+      score += termScore;
+    }
+
+    if (terms.length > 1 && record.normalized.title.includes(phrase)) {
+      score += CONFIG.SEARCH_WEIGHTS.title * 2;
+    }
+
+    return score;
+  }
+
+  /**
+   * Returns ranked results for a query.
+   * Ties keep page order so results feel stable while typing.
+   * 
+   * @param {string} query - What the reader typed
+   * @returns {Object[]} Matching records, best first
+   */
+  function searchArticles(query) {
+    const terms = tokenizeQuery(query);
+    if (query.trim().length < CONFIG.SEARCH_MIN_CHARS || !terms.length) return [];
+
+    const phrase = terms.join(" ");
+
+    return searchState.index
+      .map((record) => ({ record, score: scoreSearchRecord(record, terms, phrase) }))
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score || a.record.order - b.record.order)
+      .slice(0, CONFIG.SEARCH_MAX_RESULTS)
+      .map((result) => result.record);
+  }
+
+  /**
+   * Finds query terms in original text, matching the way search does.
+   * 
+   * HOW IT WORKS:
+   * - Each character is normalized on its own (normalizeSearchText), and
+   *   every normalized character remembers the original span it came from
+   * - Terms are matched in the normalized text, then mapped back, so
+   *   "cafe" marks "Café" and the accent stays inside the match
+   * - Characters that normalize to nothing (combining accents) join the
+   *   letter before them
+   * 
+   * @param {string} text - Original (un-normalized) text
+   * @param {string[]} terms - Normalized query terms
+   * @returns {Object[]} { start, end } offsets into text, in order
+   */
+  function findSearchMatches(text, terms) {
+    if (!terms.length) return [];
+
+    let normalized = "";
+    const starts = [];
+    const ends = [];
+    let index = 0;
+    for (const char of text) {
+      const next = index + char.length;
+      const folded = normalizeSearchText(char);
+      if (!folded && ends.length) ends[ends.length - 1] = next;
+      for (let i = 0; i < folded.length; i++) {
+        starts.push(index);
+        ends.push(next);
+      }
+      normalized += folded;
+      index = next;
+    }
+
+    const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join("|")})`, "g");
+    return Array.from(normalized.matchAll(pattern), (match) => ({
+      start: starts[match.index],
+      end: ends[match.index + match[0].length - 1],
+    }));
+  }
+
+  /**
+   * Appends text to an element with matched terms wrapped in <mark>.
+   * Builds text nodes (never innerHTML) so story text can't inject markup.
+   * 
+   * @param {HTMLElement} element - Element to append into
+   * @param {string} text - Original (un-normalized) text
+   * @param {string[]} terms - Normalized query terms
+   */
+  function appendHighlighted(element, text, terms) {
+    if (!terms.length) {
+      element.appendChild(document.createTextNode(text));
+      return;
+    }
+
+    let lastIndex = 0;
+
+    findSearchMatches(text, terms).forEach(({ start, end }) => {
+      if (start > lastIndex) {
+        element.appendChild(document.createTextNode(text.slice(lastIndex, start)));
+      }
+      element.appendChild(createElement("mark", "search-highlight", text.slice(start, end)));
+      lastIndex = end;
+    });
+
+    if (lastIndex < text.length) {
+      element.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+  }
+
+  /**
+   * Picks a short piece of context for a result.
+   * Prefers the excerpt; falls back to the body around the first match.
+   * 
+   * @param {Object} record - Search index record
+   * @param {string[]} terms - Normalized query terms
+   * @returns {string} Snippet text (with ellipses when trimmed)
+   */
+  function buildSearchSnippet(record, terms) {
+    const inExcerpt = findSearchMatches(record.excerpt, terms).length > 0;
+    const bodyMatch = inExcerpt ? null : findSearchMatches(record.body, terms)[0];
+
+    if (bodyMatch) {
+      const matchIndex = bodyMatch.start;
+      const start = Math.max(0, matchIndex - Math.floor(CONFIG.SEARCH_SNIPPET_CHARS / 3));
+      const end = Math.min(record.body.length, start + CONFIG.SEARCH_SNIPPET_CHARS);
+      const prefix = start > 0 ? "…" : "";
+      const suffix = end < record.body.length ? "…" : "";
+      return `${prefix}${record.body.slice(start, end).trim()}${suffix}`;
+    }
+
+    return record.excerpt;
+  }
+
+  /**
+   * Draws the result list and the live status message.
+   * 
+   * ACCESSIBILITY:
+   * - Results are role="option" inside a role="listbox"
+   * - The input (role="combobox") reports aria-expanded
+   * - The status line is a polite live region ("3 stories found")
+   * 
+   * @param {Object} parts - From getSearchParts()
+   * @param {string} query - Current query
+   */
+  function renderSearchResults(parts, query) {
+    const { input, resultsList, status } = parts;
+    const terms = tokenizeQuery(query);
+
+    searchState.results = searchArticles(query);
+    searchState.activeIndex = -1;
+    input.removeAttribute("aria-activedescendant");
+
+    const fragment = document.createDocumentFragment();
+
+    searchState.results.forEach((record, index) => {
+      const option = createElement("li", "search-result");
+      option.id = `search-result-${index}`;
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", "false");
+      option.dataset.resultIndex = String(index);
+
+      const title = createElement("span", "search-result-title");
+      appendHighlighted(title, record.title, terms);
+
+      const meta = createElement("span", "search-result-meta", [record.category, ...record.tags].filter(Boolean).join(" · "));
+
+      const snippet = createElement("span", "search-result-snippet");
+      appendHighlighted(snippet, buildSearchSnippet(record, terms), terms);
+
+      option.append(title, meta, snippet);
+      fragment.appendChild(option);
+    });
+
+    resultsList.replaceChildren(fragment);
+    input.setAttribute("aria-expanded", String(searchState.results.length > 0));
+
+    if (query.trim().length < CONFIG.SEARCH_MIN_CHARS) {
+      status.textContent = "";
+    } else if (!searchState.results.length && searchState.loadingBodies) {
+      status.textContent = "Searching story text…";
+    } else if (!searchState.results.length) {
+      status.textContent = `No stories match “${query.trim()}”.`;
+    } else {
+      const count = searchState.results.length;
+      status.textContent = `${count} ${count === 1 ? "story" : "stories"} found.`;
+    }
+  }
+
+  /**
+   * Moves the keyboard selection to a result.
+   * Keeps focus in the input and points aria-activedescendant at the option.
+   * 
+   * @param {Object} parts - From getSearchParts()
+   * @param {number} index - Result to select (wraps around)
+   */
+  function setActiveSearchResult(parts, index) {
+    const count = searchState.results.length;
+    if (!count) return;
+
+    const nextIndex = (index + count) % count;
+    const options = parts.resultsList.querySelectorAll(".search-result");
+
+    options.forEach((option, i) => {
+      const isActive = i === nextIndex;
+      option.classList.toggle(CONFIG.CLASSES.SEARCH_ACTIVE, isActive);
+      option.setAttribute("aria-selected", String(isActive));
+    });
+
+    searchState.activeIndex = nextIndex;
+    parts.input.setAttribute("aria-activedescendant", options[nextIndex].id);
+    options[nextIndex].scrollIntoView({ block: "nearest" });
+  }
+
+  /**
+   * Fetches the story bodies the index doesn't have yet, then rebuilds it.
+   * Bodies load lazily (section 8), so without this full-text search
+   * would only find stories the reader has already opened.
+   * 
+   * WHILE LOADING:
+   * - Title, excerpt and tag matches show straight away
+   * - An empty result list says "Searching story text…", not "No stories"
+   * - Once the bodies arrive the results are redrawn for the current
+   *   query, keeping the keyboard selection (skipped if search closed)
+   * - A body that fails to load is left out; its other fields still match
+   * 
+   * @param {Object} parts - From getSearchParts()
+   */
+  async function loadSearchBodies(parts) {
+    const pending = getAllStoryCards().filter((card) => card.dataset.bodyUrl);
+    if (!pending.length || searchState.loadingBodies) return;
+
+    searchState.loadingBodies = true;
+    await Promise.all(pending.map((card) => loadArticleBody(card).catch(() => {})));
+    searchState.loadingBodies = false;
+
+    if (!searchState.isOpen) return;
+
+    const active = searchState.results[searchState.activeIndex];
+    searchState.index = buildSearchIndex();
+    renderSearchResults(parts, parts.input.value);
+
+    const index = active ? searchState.results.findIndex((record) => record.card === active.card) : -1;
+    if (index !== -1) setActiveSearchResult(parts, index);
+  }
+
+  /**
+   * Opens the search overlay.
+   * Rebuilds the index so freshly rendered cards are always searchable,
+   * and fetches any story bodies it is missing (loadSearchBodies).
+   */
+  function openSearch() {
+    if (searchState.isOpen || subscribeState.isOpen || modalState.isOpen || modalState.isAnimating) return;
+
+    const parts = getSearchParts();
+    if (!parts) return;
+
+    searchState.index = buildSearchIndex();
+    searchState.lastFocusedElement = document.activeElement;
+    searchState.isOpen = true;
+
+    parts.overlay.classList.add(CONFIG.CLASSES.MODAL_OPEN);
+    parts.overlay.setAttribute("aria-hidden", "false");
+    lockBodyScroll();
+    trapFocus(parts.panel);
+
+    // Starts the fetches (and sets loadingBodies) before the first draw
+    loadSearchBodies(parts);
+    renderSearchResults(parts, parts.input.value);
+    parts.input.focus();
+    parts.input.select();
+  }
+
+  /**
+   * Closes the search overlay.
+   * 
+   * @param {boolean} [restoreFocus=true] - Return focus to the opener
+   *   (false when a result was picked and focus moves to its card)
+   * @param {string|null} [picked=null] - Story key of the picked result
+   *   (recorded with the query, see trackSearch)
+   */
+  function closeSearch(restoreFocus = true, picked = null) {
+    if (!searchState.isOpen) return;
+
+    const parts = getSearchParts();
+    if (!parts) return;
+
+    searchState.isOpen = false;
+    parts.overlay.classList.remove(CONFIG.CLASSES.MODAL_OPEN);
+    parts.overlay.setAttribute("aria-hidden", "true");
+    unlockBodyScroll();
+    releaseFocusTrap(parts.panel);
+    trackSearch(parts.input.value, picked);
+
+    if (restoreFocus && searchState.lastFocusedElement) {
+      searchState.lastFocusedElement.focus();
+    }
+  }
+
+  /**
+   * Scrolls to a result's card and opens it.
+   * 
+   * FLOW:
+   * 1. Close the overlay (unlocks scrolling)
+   * 2. Scroll the card to the middle of the viewport and focus it
+   * 3. Flip it to the back, like a click would
+   * 4. scheduleOpenFromFlip() waits out the flip (and the scroll),
+   *    then openFeaturedModalFromCard() zooms from the card
+   * 
+   * @param {number} index - Index into searchState.results
+   */
+  function selectSearchResult(index) {
+    const record = searchState.results[index];
+    if (!record) return;
+
+    // Renders the story's page first if it hasn't been summoned yet
+    const card = ensureStoryCard(getStoryKey(record.card));
+    if (!card) return;
+
+    closeSearch(false, getStoryKey(card));
+
+    // A result hidden by the filters must be visible to zoom from
+    if (card.hidden) clearAllFilters();
+
+    card.scrollIntoView({ behavior: getScrollBehavior(), block: "center" });
+    card.focus({ preventScroll: true });
+    card.classList.add(CONFIG.CLASSES.FLIPPED);
+    scheduleOpenFromFlip(card);
+  }
+
+  /**
+   * Sets up search event listeners.
+   * 
+   * KEYBOARD:
+   * - ArrowDown / ArrowUp: move through results (wraps)
+   * - Enter: open the selected (or first) result
+   * - Escape: close the overlay
+   */
+  function initializeSearch() {
+    const searchButton = document.querySelector(".nav-search-btn");
+    const parts = getSearchParts();
+    if (!searchButton || !parts) return;
+
+    const { overlay, input, resultsList, closeButton } = parts;
+
+    searchButton.addEventListener("click", openSearch);
+    closeButton.addEventListener("click", () => closeSearch());
+
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) closeSearch();
+    });
+
+    input.addEventListener("input", () => renderSearchResults(parts, input.value));
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowDown") {
+        e.preventDefault();
+        setActiveSearchResult(parts, searchState.activeIndex + 1);
+      } else if (e.key === "ArrowUp") {
+        e.preventDefault();
+        setActiveSearchResult(parts, searchState.activeIndex - 1);
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        selectSearchResult(Math.max(searchState.activeIndex, 0));
+      }
+    });
+
+    overlay.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") closeSearch();
+    });
+
+    resultsList.addEventListener("click", (e) => {
+      const option = e.target.closest(".search-result");
+      if (option) selectSearchResult(Number(option.dataset.resultIndex));
+    });
+  }
+
+  // ============================================
+  // 10) STORY DEEP LINKS
+  // ============================================
+  // Every opened story gets its own URL (?story=moon-measure).
+  // Loading that URL opens the story; Back/Forward close and reopen it.
+
+  /**
+   * Returns the value that identifies a card in the URL.
+   * Prefers the readable slug; falls back to data-card-id.
+   * 
+   * @param {HTMLElement} card - Tarot card
+   * @returns {string} Slug or id
+   */
+  function getStoryKey(card) {
+    return card.dataset.slug || card.dataset.cardId || "";
+  }
+
+  /**
+   * Finds the card for a ?story= value.
+   * Accepts either a slug ("moon-measure") or a card id ("3").
+   * 
+   * @param {string|null} story - Value from the URL
+   * @returns {HTMLElement|null} Matching card or null
+   */
+  function findCardByStory(story) {
+    if (!story) return null;
+
+    const cards = document.querySelectorAll(".tarot-card");
+    return (
+      Array.from(cards).find((card) => card.dataset.slug === story || card.dataset.cardId === story) ||
+      null
+    );
+  }
+
+  /**
+   * Finds the feed record for a ?story= value, rendered or not.
+   * 
+   * @param {string|null} story - Slug or id
+   * @returns {Object|null} Feed record or null
+   */
+  function findArticleByStory(story) {
+    if (!story) return null;
+
+    return (
+      feedState.articles.find((article) => article.slug === story || String(article.id) === story) ||
+      null
+    );
+  }
+
+  /**
+   * Builds the current URL with the story param set (or removed).
+   * Any other params and the hash are kept as they are.
+   * 
+   * @param {HTMLElement|null} card - Card to link to, or null for no story
+   * @returns {string} URL for history.pushState/replaceState
+   */
+  function buildStoryUrl(card) {
+    const url = new URL(window.location.href);
+    if (card) {
+      url.searchParams.set(CONFIG.STORY_PARAM, getStoryKey(card));
+    } else {
+      url.searchParams.delete(CONFIG.STORY_PARAM);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Adds a history entry for an opened story.
+   * Back then returns to the page without the story (closing the modal).
+   * 
+   * @param {HTMLElement} card - Card being opened
+   */
+  function pushStoryState(card) {
+    const story = getStoryKey(card);
+    if (!story) return;
+
+    history.pushState({ story }, "", buildStoryUrl(card));
+    modalState.historyPushed = true;
+  }
+
+  /**
+   * Points the current history entry at another story without adding one.
+   * Used by Previous/Next, so Back still closes the modal in one step.
+   * 
+   * @param {HTMLElement} card - Story now shown in the modal
+   */
+  function replaceStoryState(card) {
+    const story = getStoryKey(card);
+    if (!story) return;
+
+    history.replaceState({ story }, "", buildStoryUrl(card));
+  }
+
+  /**
+   * Removes the story from the URL when the modal closes.
+   * 
+   * TWO CASES:
+   * - We pushed the entry → history.back(), so Back doesn't reopen it
+   *   (the resulting popstate finds the modal closing; the deferred sync
+   *   then sees no story and a closed modal, and does nothing)
+   * - Page was loaded on a deep link → nothing to go back to inside the site,
+   *   so replace the URL in place instead of leaving the page
+   */
+  function clearStoryState() {
+    if (modalState.historyPushed) {
+      modalState.historyPushed = false;
+      history.back();
+      return;
+    }
+
+    if (new URL(window.location.href).searchParams.has(CONFIG.STORY_PARAM)) {
+      history.replaceState({ story: null }, "", buildStoryUrl(null));
+    }
+  }
+
+  /**
+   * Opens the story named in the current URL, if any.
+   * 
+   * WHY NO FLIP DELAY:
+   * - The reader asked for this story directly; there's no click to animate
+   * - The card is flipped and scrolled into view instantly, then the modal
+   *   zooms from it as usual
+   * - A Latest story past the first page renders its page first
+   * 
+   * @returns {boolean} True if a story was found and opened
+   */
+  function openStoryFromUrl() {
+    const story = new URL(window.location.href).searchParams.get(CONFIG.STORY_PARAM);
+    const card = ensureStoryCard(story);
+    if (!card) return false;
+
+    if (card.hidden) clearAllFilters(false);
+
+    if (modalState.openTimer) {
+      clearTimeout(modalState.openTimer);
+      modalState.openTimer = null;
+    }
+
+    card.classList.add(CONFIG.CLASSES.FLIPPED);
+    card.scrollIntoView({ block: "center" });
+    openFeaturedModalFromCard(card, { fromHistory: true });
+    return true;
+  }
+
+  /**
+   * Brings the modal in line with the URL after Back/Forward.
+   * 
+   * SYNC:
+   * - URL has a story, modal closed → open it (zoom from its card)
+   * - URL has no story, modal open  → close it (zoom back to card)
+   * - Mid-animation → remembered (pendingUrlSync) and run again by
+   *   flushUrlSync() when the zoom or page turn ends, so Back pressed
+   *   during an animation still takes effect
+   * 
+   * An entry reached with Forward has a page entry behind it, so it is
+   * treated as pushed: closing it later goes back instead of replacing.
+   */
+  function syncModalWithUrl() {
+    if (modalState.isAnimating) {
+      modalState.pendingUrlSync = true;
+      return;
+    }
+    modalState.pendingUrlSync = false;
+
+    const story = new URL(window.location.href).searchParams.get(CONFIG.STORY_PARAM);
+
+    if (!story && modalState.isOpen) {
+      modalState.historyPushed = false;
+      closeFeaturedModalToCard({ fromHistory: true });
+    } else if (story && !modalState.isOpen && openStoryFromUrl()) {
+      modalState.historyPushed = true;
+    }
+  }
+
+  /**
+   * Runs a Back/Forward sync that arrived mid-animation.
+   * Called wherever a modal animation finishes (open, close, page turn).
+   */
+  function flushUrlSync() {
+    if (modalState.pendingUrlSync) syncModalWithUrl();
+  }
+
+  /**
+   * Sets up deep links and Back/Forward handling (see syncModalWithUrl).
+   */
+  function initializeDeepLinks() {
+    window.addEventListener("popstate", syncModalWithUrl);
+
+    openStoryFromUrl();
+  }
+
+  // ============================================
+  // 11) CATEGORY FILTERING
+  // ============================================
+  // Nav links (#realms, #spellbook, ...) filter both grids by card category.
+  // The active realm lives in the URL hash, so filters are shareable too.
+
+  /**
+   * Reads the active realm from the URL hash.
+   * 
+   * @returns {string|null} Realm key from CONFIG.REALM_CATEGORIES, or null
+   */
+  function getRealmFromHash() {
+    const realm = window.location.hash.slice(1).toLowerCase();
+    return Object.prototype.hasOwnProperty.call(CONFIG.REALM_CATEGORIES, realm) ? realm : null;
+  }
+
+  /**
+   * Checks whether a card's category belongs to a realm.
+   * Comparison ignores case ("spellbook" matches "Spellbook").
+   * 
+   * @param {HTMLElement} card - Tarot card
+   * @param {string} realm - Realm key
+   * @returns {boolean} True if the card should stay visible
+   */
+  function cardMatchesRealm(card, realm) {
+    const category = getCardCategory(card).toLowerCase();
+    return CONFIG.REALM_CATEGORIES[realm].some((name) => name.toLowerCase() === category);
+  }
+
+  /**
+   * Checks a card against every active filter (realm and tags).
+   * 
+   * @param {HTMLElement} card - Tarot card, on the page or not
+   * @returns {boolean} True if the card should be visible
+   */
+  function cardMatchesFilters(card) {
+    const { realm } = filterState;
+    return (!realm || cardMatchesRealm(card, realm)) && cardMatchesTags(card);
+  }
+
+  /**
+   * Renders Latest pages until every story matching the filters is on the
+   * page, as ensureStoryCard() does for one story. The tag index and the
+   * trending badges count every story, so a tag whose only story is on a
+   * later page must not land on "No stories match".
+   * 
+   * @returns {HTMLElement[]} Cards new to the page (need refreshCards)
+   */
+  function renderLatestMatches() {
+    const pending = feedState.latest.slice(feedState.latestShown).map(getArticleCard);
+    let last = -1;
+    pending.forEach((card, i) => {
+      if (cardMatchesFilters(card)) last = i;
+    });
+    if (last === -1) return [];
+
+    const pages = Math.ceil((feedState.latestShown + last + 1) / CONFIG.LATEST_PAGE_SIZE);
+    return renderLatest(pages * CONFIG.LATEST_PAGE_SIZE);
+  }
+
+  /**
+   * Records where each visible card is before the grids change.
+   * First half of the FLIP technique (First, Last, Invert, Play).
+   * 
+   * @param {HTMLElement[]} cards - All tarot cards
+   * @returns {Map<HTMLElement, DOMRect>} Positions of currently visible cards
+   */
+  function captureCardPositions(cards) {
+    const positions = new Map();
+    cards.forEach((card) => {
+      if (!card.hidden) positions.set(card, card.getBoundingClientRect());
+    });
+    return positions;
+  }
+
+  /**
+   * Animates cards from their old positions to their new ones.
+   * 
+   * FLIP:
+   * - Cards that stayed visible slide from old position (inverted transform → none)
+   * - Cards that just appeared fade and scale in
+   * - Cards that were hidden simply disappear (nothing to animate)
+   * 
+   * Uses the Web Animations API so no classes or cleanup timers are needed;
+   * browsers without element.animate() just get the instant reflow.
+   * 
+   * @param {HTMLElement[]} cards - All tarot cards
+   * @param {Map<HTMLElement, DOMRect>} before - From captureCardPositions()
+   */
+  function playGridReflow(cards, before) {
+    if (motionState.reduced || typeof Element.prototype.animate !== "function") return;
+
+    // PERFORMANCE OPTIMIZATION: Batch layout reads before writes
+    const visible = cards.filter((card) => !card.hidden);
+    const after = visible.map((card) => card.getBoundingClientRect());
+
+    const timing = { duration: CONFIG.FILTER_REFLOW_MS, easing: "cubic-bezier(0.22, 1, 0.36, 1)" };
+
+    visible.forEach((card, i) => {
+      const first = before.get(card);
+
+      if (!first) {
+        card.animate(
+          [{ opacity: 0, transform: "scale(0.92)" }, { opacity: 1, transform: "scale(1)" }],
+          timing
+        );
+        return;
+      }
+
+      const dx = first.left - after[i].left;
+      const dy = first.top - after[i].top;
+      if (!dx && !dy) return;
+
+      card.animate(
+        [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: "translate(0, 0)" }],
+        timing
+      );
+    });
+  }
+
+  /**
+   * Describes the active filters, or says that nothing matches them.
+   * Covers both the nav realm and any tag filters (see section 12).
+   * 
+   * @param {number} count - Stories still visible
+   */
+  function updateFilterStatus(count) {
+    const status = document.querySelector("#filter-status");
+    if (!status) return;
+
+    const text = status.querySelector(".filter-status-text");
+    const { realm, tags, tagMode } = filterState;
+    const isFiltered = Boolean(realm) || tags.length > 0;
+
+    status.hidden = !isFiltered;
+    status.classList.toggle("is-empty", isFiltered && count === 0);
+    if (!text) return;
+    if (!isFiltered) {
+      text.textContent = "";
+      return;
+    }
+
+    const link = realm ? document.querySelector(`.nav-list a[href="#${realm}"]`) : null;
+    const realmName = link ? link.textContent.trim() : realm;
+    const tagText = tags.join(tagMode === "all" ? " and " : " or ");
+
+    if (!count) {
+      text.textContent = tags.length
+        ? "No stories match these filters yet."
+        : `No stories have wandered into ${realmName} yet.`;
+      return;
+    }
+
+    const stories = `${count} ${count === 1 ? "story" : "stories"}`;
+    const from = realm ? ` from ${realmName}` : "";
+    const tagged = tags.length ? ` tagged ${tagText}` : "";
+    text.textContent = `Showing ${stories}${from}${tagged}.`;
+  }
+
+  /**
+   * Shows only the cards that pass every active filter.
+   * 
+   * FLOW:
+   * 1. Record visible card positions (FLIP "first")
+   * 2. Render Latest pages that hold matches (renderLatestMatches)
+   * 3. Toggle [hidden] on cards, and on sections left with no cards
+   * 4. Mark the nav link with aria-current + .is-current
+   * 5. Update the status / empty state
+   * 6. Animate the reflow (optional; new cards fade in)
+   * 
+   * @param {boolean} [animate=true] - Play the FLIP reflow
+   */
+  function applyFilters(animate = true) {
+    const { realm } = filterState;
+    const isFiltered = Boolean(realm) || filterState.tags.length > 0;
+
+    const before = animate ? captureCardPositions(Array.from(document.querySelectorAll(".tarot-card"))) : null;
+
+    // refreshCards() filters the new cards too (no animation); this call
+    // then carries on with the reflow
+    if (isFiltered && renderLatestMatches().length) refreshCards();
+
+    const cards = Array.from(document.querySelectorAll(".tarot-card"));
+
+    let visibleCount = 0;
+    cards.forEach((card) => {
+      card.hidden = !cardMatchesFilters(card);
+      if (!card.hidden) visibleCount += 1;
+    });
+
+    Object.values(CONFIG.FEED_GRIDS).forEach((selector) => {
+      const grid = document.querySelector(selector);
+      const section = grid ? grid.closest("section") : null;
+      if (!section) return;
+      // A section that can still summon more stories stays, so matches
+      // on later pages remain reachable
+      const hasMore = section.querySelector(".load-more-btn:not([hidden])");
+      section.hidden = isFiltered && !grid.querySelector(".tarot-card:not([hidden])") && !hasMore;
+    });
+
+    document.querySelectorAll(".nav-list .nav-item a").forEach((link) => {
+      const isCurrent = Boolean(realm) && link.getAttribute("href") === `#${realm}`;
+      link.classList.toggle(CONFIG.CLASSES.NAV_CURRENT, isCurrent);
+      if (isCurrent) {
+        link.setAttribute("aria-current", "true");
+      } else {
+        link.removeAttribute("aria-current");
+      }
+    });
+
+    updateFilterStatus(visibleCount);
+    trackFilterChange(visibleCount);
+
+    if (before) playGridReflow(cards, before);
+  }
+
+  /**
+   * Sets the active realm (null for all) and re-applies the filters.
+   * 
+   * @param {string|null} realm - Realm key, or null to show every realm
+   * @param {boolean} [animate=true] - Play the FLIP reflow
+   */
+  function applyCategoryFilter(realm, animate = true) {
+    filterState.realm = realm;
+    applyFilters(animate);
+  }
+
+  /**
+   * Applies a realm and records it in the URL hash (one history entry each),
+   * so Back steps through previous filters.
+   * 
+   * @param {string|null} realm - Realm key, or null to show everything
+   */
+  function setCategoryFilter(realm) {
+    if (realm === filterState.realm) return;
+
+    const url = new URL(window.location.href);
+    url.hash = realm ? `#${realm}` : "";
+    history.pushState(history.state, "", url.toString());
+
+    applyCategoryFilter(realm);
+  }
+
+  /**
+   * Sets up category filtering.
+   * 
+   * EVENT HANDLERS:
+   * 1. Nav link click → filter (clicking the active realm again clears it)
+   * 2. "Show all stories" → clear the realm and any tag filters
+   * 3. hashchange / popstate → follow Back/Forward and hand-edited URLs
+   * 4. Initial hash → filter immediately, without animation
+   * 
+   * MOBILE:
+   * - initializeHamburgerMenu() still closes the menu on link click
+   * - On mobile the results are scrolled into view, since the open
+   *   menu pushes the grids down the page
+   */
+  function initializeCategoryFilter() {
+    const links = document.querySelectorAll(".nav-list .nav-item a");
+    if (!links.length) return;
+
+    links.forEach((link) => {
+      const realm = link.getAttribute("href").slice(1).toLowerCase();
+      if (!Object.prototype.hasOwnProperty.call(CONFIG.REALM_CATEGORIES, realm)) return;
+
+      link.addEventListener("click", (e) => {
+        e.preventDefault();
+        setCategoryFilter(filterState.realm === realm ? null : realm);
+
+        if (window.innerWidth < CONFIG.MOBILE_BREAKPOINT) {
+          const main = document.querySelector("#main-content");
+          if (main) main.scrollIntoView({ behavior: getScrollBehavior(), block: "start" });
+        }
+      });
+    });
+
+    const clearButton = document.querySelector("#filter-status .filter-clear");
+    if (clearButton) {
+      clearButton.addEventListener("click", () => clearAllFilters());
+    }
+
+    const syncFromUrl = () => {
+      const realm = getRealmFromHash();
+      if (realm !== filterState.realm) applyCategoryFilter(realm);
+    };
+
+    window.addEventListener("hashchange", syncFromUrl);
+    window.addEventListener("popstate", syncFromUrl);
+
+    const initialRealm = getRealmFromHash();
+    if (initialRealm) applyCategoryFilter(initialRealm, false);
+  }
+
+  // ============================================
+  // 12) TAG FILTERS
+  // ============================================
+  // Clicking a .tag filters the grids to stories carrying it.
+  // Several tags combine with OR ("any") or AND ("all"); active tags show
+  // as removable chips, and the tag index lists every tag with its count.
+
+  /**
+   * Checks a card against the selected tags.
+   * Comparison ignores case. No selected tags → every card matches.
+   * 
+   * @param {HTMLElement} card - Tarot card
+   * @returns {boolean} True if the card passes the tag filter
+   */
+  function cardMatchesTags(card) {
+    if (!filterState.tags.length) return true;
+
+    const cardTags = getCardTags(card).map((tag) => tag.toLowerCase());
+    const hasTag = (tag) => cardTags.includes(tag.toLowerCase());
+
+    return filterState.tagMode === "all"
+      ? filterState.tags.every(hasTag)
+      : filterState.tags.some(hasTag);
+  }
+
+  /**
+   * Counts how many stories use each tag (across all stories, filtered or
+   * not, summoned or not).
+   * Tags differing only by case are merged under the first spelling seen.
+   * 
+   * @returns {{name: string, count: number}[]} Tags sorted by name
+   */
+  function countTags() {
+    const counts = new Map();
+
+    getAllStoryCards().forEach((card) => {
+      new Set(getCardTags(card)).forEach((name) => {
+        const key = name.toLowerCase();
+        const entry = counts.get(key) || { name, count: 0 };
+        entry.count += 1;
+        counts.set(key, entry);
+      });
+    });
+
+    return Array.from(counts.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Draws the tag index: one toggle button per tag with its story count.
+   * --tag-weight (0–1) lets CSS scale popular tags up.
+   */
+  function renderTagCloud() {
+    const cloud = document.querySelector("#tag-cloud");
+    if (!cloud) return;
+
+    const tags = countTags();
+    const maxCount = Math.max(1, ...tags.map((tag) => tag.count));
+    const selected = filterState.tags.map((tag) => tag.toLowerCase());
+    const fragment = document.createDocumentFragment();
+
+    tags.forEach(({ name, count }) => {
+      const button = createElement("button", "tag-cloud-item", name);
+      button.type = "button";
+      button.dataset.tag = name;
+      button.setAttribute("aria-pressed", String(selected.includes(name.toLowerCase())));
+      button.setAttribute("aria-label", `${name}, ${count} ${count === 1 ? "story" : "stories"}`);
+      button.style.setProperty("--tag-weight", String(count / maxCount));
+      button.appendChild(createElement("span", "tag-count", String(count)));
+      fragment.appendChild(button);
+    });
+
+    cloud.replaceChildren(fragment);
+  }
+
+  /**
+   * Draws the chip bar for the selected tags and syncs the AND/OR buttons.
+   */
+  function renderTagChips() {
+    const bar = document.querySelector("#tag-filter-bar");
+    if (!bar) return;
+
+    const chips = bar.querySelector(".tag-chips");
+    bar.hidden = filterState.tags.length === 0;
+
+    if (chips) {
+      const fragment = document.createDocumentFragment();
+      filterState.tags.forEach((name) => {
+        const item = createElement("li");
+        const chip = createElement("button", "tag-chip", name);
+        chip.type = "button";
+        chip.dataset.tag = name;
+        chip.setAttribute("aria-label", `Remove tag filter: ${name}`);
+        const remove = createElement("span", "tag-chip-remove", "×");
+        remove.setAttribute("aria-hidden", "true");
+        chip.appendChild(remove);
+        item.appendChild(chip);
+        fragment.appendChild(item);
+      });
+      chips.replaceChildren(fragment);
+    }
+
+    bar.querySelectorAll(".tag-mode-btn").forEach((button) => {
+      button.setAttribute("aria-pressed", String(button.dataset.mode === filterState.tagMode));
+    });
+  }
+
+  /**
+   * Updates the selected tags and/or match mode, then re-filters.
+   * 
+   * @param {string[]} tags - Selected tag names
+   * @param {string} [mode] - "any" or "all" (unchanged if omitted)
+   */
+  function setTagFilters(tags, mode = filterState.tagMode) {
+    filterState.tags = tags;
+    filterState.tagMode = mode;
+
+    renderTagChips();
+    renderTagCloud();
+    applyFilters();
+  }
+
+  /**
+   * Adds a tag to the filter, or removes it if already selected.
+   * 
+   * @param {string} name - Tag name as shown on the card
+   */
+  function toggleTagFilter(name) {
+    const key = name.toLowerCase();
+    const isSelected = filterState.tags.some((tag) => tag.toLowerCase() === key);
+
+    setTagFilters(
+      isSelected
+        ? filterState.tags.filter((tag) => tag.toLowerCase() !== key)
+        : [...filterState.tags, name]
+    );
+  }
+
+  /**
+   * Drops the realm and tag filters together.
+   * 
+   * @param {boolean} [updateUrl=true] - Record the cleared realm in history
+   *   (false when a deep link is unhiding its own story during load)
+   */
+  function clearAllFilters(updateUrl = true) {
+    filterState.tags = [];
+    renderTagChips();
+    renderTagCloud();
+
+    if (updateUrl && filterState.realm) {
+      setCategoryFilter(null);
+    } else {
+      applyCategoryFilter(null, updateUrl);
+    }
+  }
+
+  /**
+   * Makes the tags copied into the modal keyboard-operable.
+   * On-page card backs keep plain spans so hidden faces add no tab stops.
+   * 
+   * @param {HTMLElement} container - Modal body
+   */
+  function prepareModalTags(container) {
+    container.querySelectorAll(".tag").forEach((tag) => {
+      tag.setAttribute("role", "button");
+      tag.tabIndex = 0;
+      tag.setAttribute("aria-label", `Show stories tagged ${tag.textContent.trim()}`);
+    });
+  }
+
+  /**
+   * Sets up tag filtering.
+   * 
+   * EVENT HANDLERS:
+   * 1. Tag click on a card back → toggle that tag
+   *    (isInteractiveTarget() already keeps the card from flipping)
+   * 2. Tag click / Enter / Space in the modal → close modal, then filter
+   *    (the modal stops click propagation, so it gets its own listener)
+   * 3. Tag index toggle → show/hide the cloud; cloud buttons toggle tags
+   * 4. Chip click → remove that tag; AND/OR buttons → switch mode
+   * 5. "Clear tags" → drop tag filters only
+   */
+  function initializeTagFilters() {
+    const main = document.querySelector("#main-content");
+    if (main) {
+      main.addEventListener("click", (e) => {
+        const tag = e.target.closest(".tarot-card-back .tag");
+        if (tag) toggleTagFilter(tag.textContent.trim());
+      });
+    }
+
+    const modalParts = getModalParts();
+    if (modalParts) {
+      const activateModalTag = (tag) => {
+        // Close first: the close zoom measures the card before it may be hidden.
+        // No close (mid-animation) means no filter, or the tag would toggle
+        // behind a modal that stays open.
+        if (closeFeaturedModalToCard()) toggleTagFilter(tag.textContent.trim());
+      };
+
+      modalParts.modalBody.addEventListener("click", (e) => {
+        const tag = e.target.closest(".tag");
+        if (tag) activateModalTag(tag);
+      });
+
+      modalParts.modalBody.addEventListener("keydown", (e) => {
+        const tag = e.target.closest(".tag");
+        if (!tag || (e.key !== "Enter" && e.key !== " ")) return;
+        e.preventDefault();
+        activateModalTag(tag);
+      });
+    }
+
+    const toggle = document.querySelector(".tag-index-toggle");
+    const cloud = document.querySelector("#tag-cloud");
+    if (toggle && cloud) {
+      toggle.addEventListener("click", () => {
+        const isExpanded = toggle.getAttribute("aria-expanded") === "true";
+        toggle.setAttribute("aria-expanded", String(!isExpanded));
+        cloud.hidden = isExpanded;
+        if (!isExpanded) renderTagCloud();
+      });
+
+      cloud.addEventListener("click", (e) => {
+        const item = e.target.closest(".tag-cloud-item");
+        if (!item) return;
+        toggleTagFilter(item.dataset.tag);
+        const sameItem = cloud.querySelector(`.tag-cloud-item[data-tag="${CSS.escape(item.dataset.tag)}"]`);
+        if (sameItem) sameItem.focus();
+      });
+    }
+
+    const bar = document.querySelector("#tag-filter-bar");
+    if (bar) {
+      bar.addEventListener("click", (e) => {
+        const chip = e.target.closest(".tag-chip");
+        const modeButton = e.target.closest(".tag-mode-btn");
+
+        if (chip) {
+          toggleTagFilter(chip.dataset.tag);
+          // Keep keyboard focus in the bar (or hand it back to the index toggle)
+          const nextChip = bar.querySelector(".tag-chip");
+          if (nextChip) {
+            nextChip.focus();
+          } else if (toggle) {
+            toggle.focus();
+          }
+        } else if (modeButton) {
+          setTagFilters(filterState.tags, modeButton.dataset.mode);
+        } else if (e.target.closest(".tag-clear")) {
+          setTagFilters([]);
+          if (toggle) toggle.focus();
+        }
+      });
+    }
+
+    renderTagChips();
+  }
+
+  // ============================================
+  // 13) MODAL STORY NAVIGATION
+  // ============================================
+  // Previous/Next buttons, ←/→ keys and swipes move the open modal
+  // through the stories in grid order, with a page-turn transition.
+
+  /**
+   * Returns the cards a reader can step through, in grid order.
+   * Cards hidden by realm/tag filters are skipped.
+   * 
+   * @returns {HTMLElement[]} Visible tarot cards
+   */
+  function getStoryOrder() {
+    return Array.from(document.querySelectorAll(".tarot-card")).filter((card) => !card.hidden);
+  }
+
+  /**
+   * Enables/disables Previous and Next and announces the position.
+   * 
+   * MORE STORIES:
+   * - While Latest has unrendered pages, Next stays enabled on the last
+   *   card (it summons the next page) and the count reads "4 / 4+"
+   * 
+   * ACCESSIBILITY:
+   * - Visible counter ("2 / 7") is aria-hidden
+   * - A polite live region reads "Story 2 of 7: <title>"
+   */
+  function updateModalStoryNav() {
+    const modal = document.querySelector(CONFIG.MODAL_ID);
+    if (!modal) return;
+
+    const order = getStoryOrder();
+    const index = order.indexOf(modalState.lastCard);
+
+    const prevButton = modal.querySelector(".modal-prev");
+    const nextButton = modal.querySelector(".modal-next");
+    const counter = modal.querySelector(".modal-position");
+    const announcer = modal.querySelector(".modal-announcer");
+
+    const more = hasMoreLatest();
+
+    if (prevButton) prevButton.disabled = index <= 0;
+    if (nextButton) nextButton.disabled = index === -1 || (index >= order.length - 1 && !more);
+    if (index === -1) return;
+
+    if (counter) counter.textContent = `${index + 1} / ${order.length}${more ? "+" : ""}`;
+
+    if (announcer) {
+      const heading = modalState.lastCard.querySelector(".tarot-card-back .article-header h3");
+      const title = heading ? heading.textContent.replace(/\s+/g, " ").trim() : "";
+      const total = more ? `${order.length} so far` : order.length;
+      announcer.textContent = `Story ${index + 1} of ${total}: ${title}`;
+    }
+  }
+
+  /**
+   * Runs the page-turn transition around a content swap.
+   * 
+   * FLOW:
+   * 1. Add .is-turning-out (current page folds away)
+   * 2. On animationend: swap content, switch to .is-turning-in
+   * 3. On animationend: remove classes, release isAnimating
+   * 
+   * data-turn="next|prev" picks the fold direction in CSS.
+   * Reduced motion swaps the content with no transition.
+   * 
+   * @param {HTMLElement} modalBody - #featured-modal-body
+   * @param {number} direction - 1 (next) or -1 (previous)
+   * @param {Function} swapContent - Replaces the page while it is folded away
+   */
+  function turnModalPage(modalBody, direction, swapContent) {
+    if (motionState.reduced) {
+      swapContent();
+      return;
+    }
+
+    modalState.isAnimating = true;
+    modalBody.dataset.turn = direction > 0 ? "next" : "prev";
+    modalBody.classList.add(CONFIG.CLASSES.PAGE_OUT);
+
+    const onOutEnd = (e) => {
+      if (e.target !== modalBody) return;
+      modalBody.removeEventListener("animationend", onOutEnd);
+
+      swapContent();
+      modalBody.classList.remove(CONFIG.CLASSES.PAGE_OUT);
+      modalBody.classList.add(CONFIG.CLASSES.PAGE_IN);
+      modalBody.addEventListener("animationend", onInEnd);
+    };
+
+    const onInEnd = (e) => {
+      if (e.target !== modalBody) return;
+      modalBody.removeEventListener("animationend", onInEnd);
+
+      modalBody.classList.remove(CONFIG.CLASSES.PAGE_IN);
+      delete modalBody.dataset.turn;
+      modalState.isAnimating = false;
+      flushUrlSync();
+    };
+
+    modalBody.addEventListener("animationend", onOutEnd);
+  }
+
+  /**
+   * Moves the open modal to the previous or next story.
+   * 
+   * KEEPS EVERYTHING IN SYNC:
+   * - modalState.lastCard → closing zooms back to the story now shown
+   * - The old card flips back; the new one flips and scrolls into view
+   * - ?story= is replaced (not pushed), so Back still just closes
+   * - Next past the last card summons more Latest stories first
+   *   (pages whose stories are all filtered out are skipped)
+   * 
+   * @param {number} direction - 1 (next) or -1 (previous)
+   */
+  function showAdjacentStory(direction) {
+    if (!modalState.isOpen || modalState.isAnimating) return;
+
+    const parts = getModalParts();
+    if (!parts) return;
+
+    let order = getStoryOrder();
+    const index = order.indexOf(modalState.lastCard);
+    while (direction > 0 && index === order.length - 1 && hasMoreLatest()) {
+      loadMoreLatest();
+      order = getStoryOrder();
+    }
+
+    const nextCard = order[index + direction];
+    const back = nextCard ? nextCard.querySelector(".tarot-card-back") : null;
+    if (!back) return;
+
+    turnModalPage(parts.modalBody, direction, () => {
+      fillModalBody(parts.modalBody, back);
+      beginReading(nextCard, parts.modalContent);
+      startStoryVisit(nextCard);
+
+      modalState.lastCard.classList.remove(CONFIG.CLASSES.FLIPPED);
+      modalState.lastCard = nextCard;
+      nextCard.classList.add(CONFIG.CLASSES.FLIPPED);
+      nextCard.scrollIntoView({ block: "center" });
+
+      replaceStoryState(nextCard);
+      applyStoryMetadata(nextCard);
+      updateModalStoryNav();
+    });
+  }
+
+  /**
+   * Sets up story-to-story navigation inside the modal.
+   * 
+   * INPUTS:
+   * - Previous / Next buttons
+   * - ArrowLeft / ArrowRight (ignored while typing in a form field)
+   * - Horizontal swipe on the modal content (mostly-horizontal, ≥ SWIPE_MIN_PX)
+   */
+  function initializeModalStoryNav() {
+    const parts = getModalParts();
+    if (!parts) return;
+
+    const { modal, modalContent } = parts;
+    const prevButton = modal.querySelector(".modal-prev");
+    const nextButton = modal.querySelector(".modal-next");
+
+    if (prevButton) prevButton.addEventListener("click", () => showAdjacentStory(-1));
+    if (nextButton) nextButton.addEventListener("click", () => showAdjacentStory(1));
+
+    document.addEventListener("keydown", (e) => {
+      if (!modalState.isOpen) return;
+      if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+      if (e.target.closest && e.target.closest("input, textarea, select, [contenteditable]")) return;
+
+      e.preventDefault();
+      showAdjacentStory(e.key === "ArrowRight" ? 1 : -1);
+    });
+
+    let touchStart = null;
+
+    modalContent.addEventListener(
+      "touchstart",
+      (e) => {
+        const touch = e.changedTouches[0];
+        touchStart = { x: touch.clientX, y: touch.clientY };
+      },
+      { passive: true }
+    );
+
+    modalContent.addEventListener(
+      "touchend",
+      (e) => {
+        if (!touchStart) return;
+
+        const touch = e.changedTouches[0];
+        const dx = touch.clientX - touchStart.x;
+        const dy = touch.clientY - touchStart.y;
+        touchStart = null;
+
+        if (Math.abs(dx) < CONFIG.SWIPE_MIN_PX || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+        showAdjacentStory(dx < 0 ? 1 : -1);
+      },
+      { passive: true }
+    );
+  }
+
+  // ============================================
+  // 14) FOCUS TRAP
+  // ============================================
+  // Keeps keyboard focus inside an open dialog (or the open mobile menu)
+  // and hides everything else from assistive technology.
+
+  const FOCUSABLE_SELECTOR = [
+    "a[href]",
+    "button:not([disabled])",
+    "input:not([disabled])",
+    "select:not([disabled])",
+    "textarea:not([disabled])",
+    "[tabindex]:not([tabindex='-1'])",
+  ].join(", ");
+
+  /**
+   * Returns the elements Tab can reach inside a container, in DOM order.
+   * Skips anything hidden, inert or not rendered (display: none).
+   * 
+   * @param {HTMLElement} container - Trap container
+   * @returns {HTMLElement[]} Tabbable elements
+   */
+  function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(
+      (element) => !element.closest("[hidden], [inert]") && element.getClientRects().length > 0
+    );
+  }
+
+  /**
+   * Confines Tab / Shift+Tab to a container.
+   * 
+   * STACKING:
+   * - A trap opened over another one (search or subscribe from the open
+   *   mobile menu) suspends it: the page is restored, the new trap is
+   *   applied, and the old one waits in focusTrapState.suspended
+   * - releaseFocusTrap() re-applies the trap underneath
+   * 
+   * @param {HTMLElement} container - Element to keep focus inside
+   */
+  function trapFocus(container) {
+    const active = focusTrapState.container;
+    focusTrapState.suspended = focusTrapState.suspended.filter((trapped) => trapped !== container);
+    if (active && active !== container) focusTrapState.suspended.push(active);
+
+    removeFocusTrap();
+    applyFocusTrap(container);
+  }
+
+  /**
+   * Removes a focus trap. Releasing the active trap restores the page and
+   * re-applies the trap it suspended, if any; releasing a suspended trap
+   * just forgets it.
+   * 
+   * @param {HTMLElement} [container] - Trap to release
+   *   (omit to release whatever trap is active)
+   */
+  function releaseFocusTrap(container) {
+    if (container && container !== focusTrapState.container) {
+      focusTrapState.suspended = focusTrapState.suspended.filter((trapped) => trapped !== container);
+      return;
+    }
+    if (!focusTrapState.container) return;
+
+    removeFocusTrap();
+    const previous = focusTrapState.suspended.pop();
+    if (previous) applyFocusTrap(previous);
+  }
+
+  /**
+   * Makes a container the active trap.
+   * 
+   * FLOW:
+   * 1. Walk from the container up to <body>; mark every sibling on the way
+   *    inert + aria-hidden (the container's own ancestors stay live)
+   * 2. Listen for Tab and wrap first ↔ last focusable element
+   * 
+   * WHY BOTH inert AND aria-hidden:
+   * - inert removes the page from the tab order and pointer events
+   * - aria-hidden covers browsers/screen readers without inert support
+   * - Previous aria-hidden values are saved, so overlays that were already
+   *   hidden stay hidden after release
+   * 
+   * @param {HTMLElement} container - Element to keep focus inside
+   */
+  function applyFocusTrap(container) {
+    focusTrapState.container = container;
+
+    for (let node = container; node && node !== document.body; node = node.parentElement) {
+      const parent = node.parentElement;
+      if (!parent) break;
+
+      Array.from(parent.children).forEach((sibling) => {
+        if (sibling === node || sibling.inert || sibling.tagName === "SCRIPT") return;
+
+        focusTrapState.inertElements.push({
+          element: sibling,
+          ariaHidden: sibling.getAttribute("aria-hidden"),
+        });
+        sibling.inert = true;
+        sibling.setAttribute("aria-hidden", "true");
+      });
+    }
+
+    focusTrapState.onKeydown = (e) => {
+      if (e.key !== "Tab") return;
+
+      const focusable = getFocusableElements(container);
+      if (!focusable.length) {
+        e.preventDefault();
+        return;
+      }
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const active = document.activeElement;
+
+      // Focus outside the container re-enters at the matching end
+      if (!container.contains(active)) {
+        e.preventDefault();
+        (e.shiftKey ? last : first).focus();
+        return;
+      }
+
+      if (e.shiftKey && active === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && active === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener("keydown", focusTrapState.onKeydown);
+  }
+
+  /**
+   * Restores the page behind the active trap and stops its Tab handler.
+   * The suspended traps are left alone.
+   */
+  function removeFocusTrap() {
+    if (!focusTrapState.container) return;
+
+    focusTrapState.inertElements.forEach(({ element, ariaHidden }) => {
+      element.inert = false;
+      // Shown since the trap was set (a dialog opening over it): keep that
+      if (element.getAttribute("aria-hidden") !== "true") return;
+
+      if (ariaHidden === null) {
+        element.removeAttribute("aria-hidden");
+      } else {
+        element.setAttribute("aria-hidden", ariaHidden);
+      }
+    });
+
+    document.removeEventListener("keydown", focusTrapState.onKeydown);
+
+    focusTrapState.container = null;
+    focusTrapState.inertElements = [];
+    focusTrapState.onKeydown = null;
+  }
+
+  // ============================================
+  // 15) MOTION PREFERENCES
+  // ============================================
+  // Follows the OS prefers-reduced-motion setting live, unless the reader
+  // has picked a setting with the footer toggle (saved in localStorage).
+  // CSS reads the result from <html data-motion="reduced|full">.
+
+  /**
+   * Reads the reader's saved motion choice.
+   * localStorage can throw (privacy mode, blocked storage); treat that as no choice.
+   * 
+   * @returns {string|null} "reduce", "full" or null
+   */
+  function readMotionPreference() {
+    try {
+      const saved = localStorage.getItem(CONFIG.MOTION_STORAGE_KEY);
+      return saved === "reduce" || saved === "full" ? saved : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Scroll behavior for scrollIntoView calls that would otherwise glide.
+   * 
+   * @returns {string} "auto" in reduced motion, else "smooth"
+   */
+  function getScrollBehavior() {
+    return motionState.reduced ? "auto" : "smooth";
+  }
+
+  /**
+   * Resolves the effective motion setting and reflects it in the page.
+   * 
+   * PRIORITY:
+   * 1. Saved toggle choice
+   * 2. OS prefers-reduced-motion
+   */
+  function applyMotionPreference() {
+    const systemReduced = Boolean(motionState.mediaQuery && motionState.mediaQuery.matches);
+
+    motionState.reduced = motionState.saved ? motionState.saved === "reduce" : systemReduced;
+    document.documentElement.dataset.motion = motionState.reduced ? "reduced" : "full";
+
+    const toggle = document.querySelector(".motion-toggle");
+    if (toggle) toggle.setAttribute("aria-checked", String(motionState.reduced));
+  }
+
+  /**
+   * Saves the reader's choice and applies it.
+   * 
+   * @param {string} preference - "reduce" or "full"
+   */
+  function setMotionPreference(preference) {
+    motionState.saved = preference;
+
+    try {
+      localStorage.setItem(CONFIG.MOTION_STORAGE_KEY, preference);
+    } catch (error) {
+      // Storage unavailable: the choice still applies for this visit
+    }
+
+    applyMotionPreference();
+  }
+
+  /**
+   * Sets up reduced-motion detection and the footer toggle.
+   * 
+   * LIVE UPDATES:
+   * - Listens for changes to prefers-reduced-motion (OS setting flipped
+   *   while the page is open); a saved toggle choice still wins
+   */
+  function initializeMotionPreference() {
+    motionState.saved = readMotionPreference();
+
+    if (typeof window.matchMedia === "function") {
+      motionState.mediaQuery = window.matchMedia(CONFIG.REDUCED_MOTION_QUERY);
+
+      // Safari < 14 only supports the older addListener API
+      if (typeof motionState.mediaQuery.addEventListener === "function") {
+        motionState.mediaQuery.addEventListener("change", applyMotionPreference);
+      } else if (typeof motionState.mediaQuery.addListener === "function") {
+        motionState.mediaQuery.addListener(applyMotionPreference);
+      }
+    }
+
+    applyMotionPreference();
+
+    const toggle = document.querySelector(".motion-toggle");
+    if (!toggle) return;
+
+    toggle.addEventListener("click", () => {
+      setMotionPreference(motionState.reduced ? "full" : "reduce");
+    });
+  }
+
+  // ============================================
+  // 16) READING STATE
+  // ============================================
+  // Remembers which stories were opened and how far the reader scrolled.
+  // Drives the modal progress bar, "Read" markers on card fronts and the
+  // "Continue reading" ribbon.
+
+  /**
+   * Loads saved reading state from localStorage.
+   * Unreadable or malformed data starts fresh rather than breaking the page.
+   */
+  function loadReadingState() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CONFIG.READING_STORAGE_KEY));
+      if (!saved || typeof saved.stories !== "object") return;
+
+      readingState.stories = saved.stories;
+      readingState.last = typeof saved.last === "string" ? saved.last : null;
+    } catch (error) {
+      readingState.stories = {};
+      readingState.last = null;
+    }
+  }
+
+  /**
+   * Writes reading state back to localStorage.
+   */
+  function saveReadingState() {
+    try {
+      localStorage.setItem(
+        CONFIG.READING_STORAGE_KEY,
+        JSON.stringify({ stories: readingState.stories, last: readingState.last })
+      );
+    } catch (error) {
+      // Storage full or blocked: progress still works for this visit
+    }
+  }
+
+  /**
+   * Returns (creating if needed) the progress record for a story.
+   * 
+   * - progress: furthest point reached (0-1), decides "finished"
+   * - position: where the reader last was (0-1), used to resume
+   * 
+   * @param {string} key - Story key (see getStoryKey)
+   * @returns {Object} { progress, position, openedAt }
+   */
+  function getReadingRecord(key) {
+    if (!readingState.stories[key]) {
+      readingState.stories[key] = { progress: 0, position: 0, openedAt: Date.now() };
+    }
+    return readingState.stories[key];
+  }
+
+  /**
+   * Measures how far the modal has been scrolled and shows it on the bar.
+   * Position = scrollTop / scrollable height (1 when nothing scrolls).
+   * Skipped while the story body is still loading, so a short placeholder
+   * doesn't count as "read to the end".
+   */
+  function updateReadingProgress() {
+    readingState.frame = null;
+
+    const parts = getModalParts();
+    if (!parts || !readingState.current) return;
+
+    const { modal, modalContent } = parts;
+    if (modalContent.querySelector('.article-body[aria-busy="true"]')) return;
+
+    // PERFORMANCE OPTIMIZATION: Batch layout reads before writes
+    const scrollable = modalContent.scrollHeight - modalContent.clientHeight;
+    const position = scrollable > 0 ? Math.min(1, modalContent.scrollTop / scrollable) : 1;
+
+    const record = getReadingRecord(readingState.current);
+    record.position = position;
+    record.progress = Math.max(record.progress, position);
+    trackScrollDepth(position);
+
+    const progressBar = modal.querySelector(".modal-progress");
+    if (!progressBar) return;
+
+    progressBar.style.setProperty("--reading-progress", String(position));
+    progressBar.setAttribute("aria-valuenow", String(Math.round(position * 100)));
+  }
+
+  /**
+   * Starts tracking a story shown in the modal.
+   * Called on open and on Previous/Next.
+   * 
+   * @param {HTMLElement} card - Story's tarot card
+   * @param {HTMLElement} modalContent - Scroll container
+   * @param {boolean} [resume=false] - Restore the saved position instead of the top
+   */
+  function beginReading(card, modalContent, resume = false) {
+    const key = getStoryKey(card);
+    if (!key) return;
+
+    const record = getReadingRecord(key);
+    record.openedAt = Date.now();
+    readingState.current = key;
+    readingState.last = key;
+
+    modalContent.scrollTop = 0;
+    restoreReadingPosition(resume);
+
+    updateReadMarkers();
+    saveReadingState();
+  }
+
+  /**
+   * Scrolls the modal to the current story's saved position (with resume)
+   * and refreshes the progress bar.
+   * Called again once a lazily loaded body arrives (see fillModalBody).
+   * 
+   * @param {boolean} resume - Restore the saved position (false = leave it)
+   */
+  function restoreReadingPosition(resume) {
+    const parts = getModalParts();
+    if (!parts || !readingState.current) return;
+
+    const { modalContent } = parts;
+    const record = getReadingRecord(readingState.current);
+
+    // Position is a fraction, so it survives a different viewport size
+    if (resume && record.position) {
+      const scrollable = modalContent.scrollHeight - modalContent.clientHeight;
+      modalContent.scrollTop = record.position * scrollable;
+    }
+
+    updateReadingProgress();
+  }
+
+  /**
+   * Stops tracking when the modal closes and refreshes the page-level UI.
+   */
+  function endReading() {
+    if (readingState.frame) {
+      cancelAnimationFrame(readingState.frame);
+      readingState.frame = null;
+    }
+
+    readingState.current = null;
+    saveReadingState();
+    updateContinueRibbon();
+  }
+
+  /**
+   * Adds a "Read" marker to the front of every opened story's card.
+   * 
+   * ACCESSIBILITY:
+   * - Marker is linked with aria-describedby, so the card announces "Read"
+   */
+  function updateReadMarkers() {
+    document.querySelectorAll(".tarot-card").forEach((card) => {
+      const key = getStoryKey(card);
+      const isRead = Boolean(key && readingState.stories[key]);
+      const front = card.querySelector(".tarot-card-front");
+
+      card.classList.toggle(CONFIG.CLASSES.READ, isRead);
+      if (!isRead || !front || front.querySelector(".read-marker")) return;
+
+      const check = createElement("span", "", "✓ ");
+      check.setAttribute("aria-hidden", "true");
+
+      const marker = createElement("span", "read-marker", "Read");
+      marker.id = `read-marker-${card.dataset.cardId}`;
+      marker.prepend(check);
+      front.appendChild(marker);
+      addCardDescription(card, marker.id);
+    });
+  }
+
+  /**
+   * Shows "Continue reading" for the last story if it was left unfinished.
+   */
+  function updateContinueRibbon() {
+    const ribbon = document.querySelector("#continue-reading");
+    if (!ribbon) return;
+
+    const record = readingState.last ? readingState.stories[readingState.last] : null;
+    const article = record ? findArticleByStory(readingState.last) : null;
+    const isUnfinished = Boolean(article && record.progress < CONFIG.READ_COMPLETE);
+
+    ribbon.hidden = !isUnfinished;
+    if (!isUnfinished) return;
+
+    // From the feed record: the story's card may not be rendered yet
+    const title = ribbon.querySelector(".continue-reading-title");
+    if (title) title.textContent = article.title;
+  }
+
+  /**
+   * Reopens the last unfinished story at its saved position.
+   * Same steps as window.OceanRiches.openStory() (see section 20).
+   */
+  function resumeLastStory() {
+    openStory(readingState.last, { resume: true });
+  }
+
+  /**
+   * Restores reading state and wires the progress bar and ribbon.
+   * 
+   * SAVING:
+   * - Scroll updates are batched to one per animation frame (memory only)
+   * - localStorage is written on story change, close and pagehide
+   */
+  function initializeReadingState() {
+    loadReadingState();
+    updateReadMarkers();
+    updateContinueRibbon();
+
+    const parts = getModalParts();
+    if (parts) {
+      parts.modalContent.addEventListener(
+        "scroll",
+        () => {
+          if (!readingState.current || readingState.frame) return;
+          readingState.frame = requestAnimationFrame(updateReadingProgress);
+        },
+        { passive: true }
+      );
+    }
+
+    window.addEventListener("pagehide", saveReadingState);
+
+    const ribbon = document.querySelector("#continue-reading");
+    if (!ribbon) return;
+
+    const resumeButton = ribbon.querySelector(".continue-reading-btn");
+    const dismissButton = ribbon.querySelector(".continue-reading-dismiss");
+
+    if (resumeButton) resumeButton.addEventListener("click", resumeLastStory);
+
+    if (dismissButton) {
+      dismissButton.addEventListener("click", () => {
+        readingState.last = null;
+        saveReadingState();
+        updateContinueRibbon();
+      });
+    }
+  }
+
+  // ============================================
+  // 17) SUBSCRIBE DIALOG
+  // ============================================
+  // Signup form in a dialog: reuses the .modal overlay, scroll lock and
+  // focus trap. Posts to CONFIG.SUBSCRIBE_ENDPOINT, or queues the signup
+  // in localStorage while no endpoint is configured.
+
+  /**
+   * Validates and retrieves all subscribe dialog DOM elements.
+   * Returns null if any required element is missing (fail-fast pattern).
+   * 
+   * @returns {Object|null} Object with dialog parts or null if incomplete
+   */
+  function getSubscribeParts() {
+    const overlay = document.querySelector(CONFIG.SUBSCRIBE_ID);
+    if (!overlay) return null;
+
+    const panel = overlay.querySelector(".subscribe-panel");
+    const form = overlay.querySelector(".subscribe-form");
+    const emailInput = overlay.querySelector(".subscribe-input");
+    const emailError = overlay.querySelector("#subscribe-email-error");
+    const realms = overlay.querySelector(".subscribe-realms");
+    const realmsError = overlay.querySelector("#subscribe-realms-error");
+    const submitButton = overlay.querySelector(".subscribe-submit");
+    const status = overlay.querySelector(".subscribe-status");
+    const success = overlay.querySelector(".subscribe-success");
+    const closeButton = overlay.querySelector(".subscribe-close");
+
+    if (!panel || !form || !emailInput || !emailError || !realms || !realmsError ||
+        !submitButton || !status || !success || !closeButton) return null;
+
+    return {
+      overlay, panel, form, emailInput, emailError, realms, realmsError,
+      submitButton, status, success, closeButton,
+    };
+  }
+
+  /**
+   * Builds one checkbox per nav realm (all checked by default).
+   * Labels come from the nav links, so renaming a realm there renames it here.
+   * 
+   * @param {HTMLElement} realms - The .subscribe-realms fieldset
+   */
+  function renderRealmOptions(realms) {
+    const options = realms.querySelector(".subscribe-options");
+    if (!options) return;
+
+    const fragment = document.createDocumentFragment();
+    document.querySelectorAll(".nav-list a[href^='#']").forEach((link) => {
+      const realm = link.hash.slice(1);
+      if (!CONFIG.REALM_CATEGORIES[realm]) return;
+
+      const label = createElement("label");
+      const checkbox = createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.name = "realms";
+      checkbox.value = realm;
+      // defaultChecked (the checked attribute), so form.reset() after a
+      // signup ticks every realm again instead of clearing them
+      checkbox.defaultChecked = true;
+      label.append(checkbox, ` ${link.textContent.trim()}`);
+      fragment.appendChild(label);
+    });
+
+    options.replaceChildren(fragment);
+  }
+
+  /**
+   * Marks a field valid or invalid and shows its message.
+   * 
+   * @param {HTMLElement} field - Input or fieldset (gets aria-invalid)
+   * @param {HTMLElement} errorElement - Message element (aria-describedby target)
+   * @param {string} message - Error text ("" clears the error)
+   */
+  function setFieldError(field, errorElement, message) {
+    field.setAttribute("aria-invalid", String(Boolean(message)));
+    errorElement.textContent = message;
+  }
+
+  /**
+   * Shows a status line under the form.
+   * 
+   * @param {Object} parts - From getSubscribeParts()
+   * @param {string} message - Status text
+   * @param {boolean} isError - Style as an error
+   */
+  function showSubscribeStatus(parts, message, isError) {
+    parts.status.textContent = message;
+    parts.status.classList.toggle(CONFIG.CLASSES.STATUS_ERROR, isError);
+  }
+
+  /**
+   * Checks the form and returns the signup it describes.
+   * 
+   * RULES:
+   * - Email is required and must look like name@domain.tld
+   * - At least one realm must be checked
+   * 
+   * ACCESSIBILITY:
+   * - Invalid fields get aria-invalid and a message they are described by
+   * - Focus moves to the first invalid field
+   * 
+   * @param {Object} parts - From getSubscribeParts()
+   * @returns {Object|null} { email, realms, frequency } or null if invalid
+   */
+  function validateSubscribeForm(parts) {
+    const email = parts.emailInput.value.trim();
+    const realms = Array.from(parts.realms.querySelectorAll("input:checked"))
+      .map((checkbox) => checkbox.value);
+    const frequency = (parts.form.querySelector("input[name='frequency']:checked") || {}).value
+      || "weekly";
+
+    let emailMessage = "";
+    if (!email) {
+      emailMessage = "Enter your email address.";
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      emailMessage = "That doesn't look like an email address (name@example.com).";
+    }
+    const realmsMessage = realms.length ? "" : "Pick at least one realm.";
+
+    setFieldError(parts.emailInput, parts.emailError, emailMessage);
+    setFieldError(parts.realms, parts.realmsError, realmsMessage);
+
+    if (emailMessage) {
+      parts.emailInput.focus();
+      return null;
+    }
+    if (realmsMessage) {
+      const firstCheckbox = parts.realms.querySelector("input");
+      if (firstCheckbox) firstCheckbox.focus();
+      return null;
+    }
+
+    return { email, realms, frequency };
+  }
+
+  /**
+   * Reads queued signups from localStorage.
+   * 
+   * @returns {Object[]} Queued signups (oldest first)
+   */
+  function loadSubscribeQueue() {
+    try {
+      const queue = JSON.parse(localStorage.getItem(CONFIG.SUBSCRIBE_QUEUE_KEY));
+      return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Adds a signup to the localStorage queue.
+   * A repeat signup for the same email replaces the earlier one.
+   * Throws if storage is unavailable (private mode, quota).
+   * 
+   * @param {Object} signup - Signup with subscribedAt timestamp
+   */
+  function queueSubscription(signup) {
+    const queue = loadSubscribeQueue().filter((queued) => queued.email !== signup.email);
+    queue.push(signup);
+    localStorage.setItem(CONFIG.SUBSCRIBE_QUEUE_KEY, JSON.stringify(queue));
+  }
+
+  /**
+   * POSTs a signup to the endpoint as JSON.
+   * 
+   * @param {Object} signup - Signup with subscribedAt timestamp
+   * @returns {Promise<void>} Rejects on network failure or a non-2xx reply
+   */
+  async function sendSubscription(signup) {
+    const response = await fetch(CONFIG.SUBSCRIBE_ENDPOINT, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(signup),
+    });
+    if (!response.ok) {
+      throw new Error(`Subscribe request failed (${response.status})`);
+    }
+  }
+
+  /**
+   * Sends signups queued before an endpoint was configured.
+   * Stops at the first failure and keeps the rest for next time.
+   */
+  async function flushSubscribeQueue() {
+    if (!CONFIG.SUBSCRIBE_ENDPOINT) return;
+
+    const queue = loadSubscribeQueue();
+    while (queue.length) {
+      try {
+        await sendSubscription(queue[0]);
+      } catch (error) {
+        console.warn("Queued signups not sent yet:", error);
+        break;
+      }
+      queue.shift();
+    }
+
+    try {
+      if (queue.length) {
+        localStorage.setItem(CONFIG.SUBSCRIBE_QUEUE_KEY, JSON.stringify(queue));
+      } else {
+        localStorage.removeItem(CONFIG.SUBSCRIBE_QUEUE_KEY);
+      }
+    } catch (error) {
+      // Storage unavailable: nothing was queued on this device anyway
+    }
+  }
+
+  /**
+   * Submits the form.
+   * 
+   * FLOW:
+   * 1. Validate (stops with field errors)
+   * 2. Endpoint configured → POST; otherwise → localStorage queue
+   * 3. Success → swap the form for the success message and focus it
+   * 4. Failure → error status; the form keeps what was typed
+   * 
+   * @param {Object} parts - From getSubscribeParts()
+   */
+  async function submitSubscription(parts) {
+    if (subscribeState.isSubmitting) return;
+
+    const data = validateSubscribeForm(parts);
+    if (!data) {
+      showSubscribeStatus(parts, "Please fix the highlighted fields.", true);
+      return;
+    }
+
+    const signup = { ...data, subscribedAt: new Date().toISOString() };
+
+    subscribeState.isSubmitting = true;
+    parts.submitButton.disabled = true;
+    parts.form.setAttribute("aria-busy", "true");
+    showSubscribeStatus(parts, "Sending your raven…", false);
+
+    try {
+      if (CONFIG.SUBSCRIBE_ENDPOINT) {
+        await sendSubscription(signup);
+      } else {
+        queueSubscription(signup);
+      }
+    } catch (error) {
+      console.error("Subscribe failed:", error);
+      showSubscribeStatus(parts, "The raven couldn't get through. Please try again in a moment.", true);
+      return;
+    } finally {
+      subscribeState.isSubmitting = false;
+      parts.submitButton.disabled = false;
+      parts.form.removeAttribute("aria-busy");
+    }
+
+    const message = parts.success.querySelector(".subscribe-success-message");
+    if (message) {
+      message.textContent = CONFIG.SUBSCRIBE_ENDPOINT
+        ? `You're on the list! Your ${signup.frequency} digest will go to ${signup.email}.`
+        : `Signup saved on this device for ${signup.email}. It will be sent once subscriptions open.`;
+    }
+
+    parts.form.reset();
+    showSubscribeStatus(parts, "", false);
+    parts.form.hidden = true;
+    parts.success.hidden = false;
+    parts.success.focus();
+  }
+
+  /**
+   * Opens the subscribe dialog with a fresh form.
+   */
+  function openSubscribe() {
+    if (subscribeState.isOpen || searchState.isOpen || modalState.isOpen || modalState.isAnimating) return;
+
+    const parts = getSubscribeParts();
+    if (!parts) return;
+
+    subscribeState.lastFocusedElement = document.activeElement;
+    subscribeState.isOpen = true;
+
+    // A previous success is replaced by the form again
+    parts.form.hidden = false;
+    parts.success.hidden = true;
+    showSubscribeStatus(parts, "", false);
+
+    parts.overlay.classList.add(CONFIG.CLASSES.MODAL_OPEN);
+    parts.overlay.setAttribute("aria-hidden", "false");
+    lockBodyScroll();
+    trapFocus(parts.panel);
+    parts.emailInput.focus();
+  }
+
+  /**
+   * Closes the subscribe dialog and returns focus to the opener.
+   */
+  function closeSubscribe() {
+    if (!subscribeState.isOpen) return;
+
+    const parts = getSubscribeParts();
+    if (!parts) return;
+
+    subscribeState.isOpen = false;
+    parts.overlay.classList.remove(CONFIG.CLASSES.MODAL_OPEN);
+    parts.overlay.setAttribute("aria-hidden", "true");
+    unlockBodyScroll();
+    releaseFocusTrap(parts.panel);
+
+    if (subscribeState.lastFocusedElement) {
+      subscribeState.lastFocusedElement.focus();
+    }
+  }
+
+  /**
+   * Sets up the subscribe dialog.
+   * 
+   * - Realm checkboxes are built from the nav
+   * - Errors clear as soon as the field is edited
+   * - Escape, the × button, Done and a backdrop click all close
+   * - Signups queued earlier are sent once an endpoint is configured
+   */
+  function initializeSubscribe() {
+    const subscribeButton = document.querySelector(".subscribe-btn");
+    const parts = getSubscribeParts();
+    if (!subscribeButton || !parts) return;
+
+    const { overlay, form, emailInput, emailError, realms, realmsError, success, closeButton } = parts;
+
+    renderRealmOptions(realms);
+
+    subscribeButton.addEventListener("click", openSubscribe);
+    closeButton.addEventListener("click", closeSubscribe);
+
+    const doneButton = success.querySelector(".subscribe-done");
+    if (doneButton) doneButton.addEventListener("click", closeSubscribe);
+
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) closeSubscribe();
+    });
+
+    overlay.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") closeSubscribe();
+    });
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      submitSubscription(parts);
+    });
+
+    emailInput.addEventListener("input", () => {
+      if (emailInput.getAttribute("aria-invalid") === "true") setFieldError(emailInput, emailError, "");
+    });
+
+    realms.addEventListener("change", () => {
+      if (realms.getAttribute("aria-invalid") === "true") setFieldError(realms, realmsError, "");
+    });
+
+    flushSubscribeQueue();
+  }
+
+  // ============================================
+  // 18) OFFLINE SUPPORT
+  // ============================================
+  // sw.js precaches the page shell, the feed and the tarot deck, then
+  // serves them stale-while-revalidate (see the notes at the top of sw.js).
+
+  /**
+   * Registers the service worker once the page has loaded.
+   * 
+   * WHY AFTER LOAD:
+   * - Install downloads the whole deck; waiting keeps it from competing
+   *   with the first render for bandwidth
+   * 
+   * SKIPPED WHEN:
+   * - The browser has no service worker support
+   * - The page is opened from file:// (service workers need http(s))
+   */
+  function registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || window.location.protocol === "file:") return;
+
+    const register = () => {
+      navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL).catch((error) => {
+        console.warn("Service worker registration failed:", error);
+      });
+    };
+
+    if (document.readyState === "complete") {
+      register();
+    } else {
+      window.addEventListener("load", register, { once: true });
+    }
+  }
+
+  // ============================================
+  // 19) STORY SORTING & NEW STORIES
+  // ============================================
+  // Latest Articles are ordered by their dates (not the feed order),
+  // with a sort control for newest/oldest/author/category.
+  // Stories published since the reader's previous visit get a "New" badge.
+
+  /**
+   * Comparators for each sort option (values of the #latest-sort select).
+   * Ties fall back to newest first, then to the feed order.
+   */
+  const SORT_COMPARATORS = {
+    newest: (a, b) => b.date.localeCompare(a.date),
+    oldest: (a, b) => a.date.localeCompare(b.date),
+    author: (a, b) => a.author.localeCompare(b.author) || b.date.localeCompare(a.date),
+    category: (a, b) => a.category.localeCompare(b.category) || b.date.localeCompare(a.date),
+  };
+
+  /**
+   * Returns feed records in the chosen sort order (a new array).
+   * Array sort is stable, so remaining ties keep the feed order.
+   * 
+   * @param {Object[]} articles - Feed records (date, author, category)
+   * @param {string} [sortKey] - Key of SORT_COMPARATORS (defaults to the
+   *   #latest-sort value, then CONFIG.SORT_DEFAULT)
+   * @returns {Object[]} Sorted copy
+   */
+  function sortArticles(articles, sortKey = getSortKey()) {
+    const compare = SORT_COMPARATORS[sortKey] || SORT_COMPARATORS[CONFIG.SORT_DEFAULT];
+    return articles.slice().sort(compare);
+  }
+
+  /**
+   * @returns {string} Selected sort option, or CONFIG.SORT_DEFAULT
+   */
+  function getSortKey() {
+    const select = document.querySelector("#latest-sort");
+    return select && SORT_COMPARATORS[select.value] ? select.value : CONFIG.SORT_DEFAULT;
+  }
+
+  /**
+   * Re-sorts Latest Articles.
+   * 
+   * FLOW:
+   * 1. Record where visible cards are now
+   * 2. Sort every Latest record and show the same number of stories
+   *    (the first page of a new order may include unrendered stories)
+   * 3. Slide cards to their new places (same FLIP as filtering)
+   * 
+   * Story navigation follows grid order, so Previous/Next in the
+   * modal also follows the chosen sort.
+   * 
+   * @param {string} sortKey - Key of SORT_COMPARATORS
+   */
+  function sortLatest(sortKey) {
+    const grid = document.querySelector(CONFIG.FEED_GRIDS.latest);
+    if (!grid) return;
+
+    const before = captureCardPositions(Array.from(grid.querySelectorAll(".tarot-card")));
+
+    feedState.latest = sortArticles(feedState.latest, sortKey);
+    if (renderLatest(feedState.latestShown).length) refreshCards();
+
+    playGridReflow(Array.from(grid.querySelectorAll(".tarot-card")), before);
+    if (modalState.isOpen) updateModalStoryNav();
+  }
+
+  /**
+   * Returns when the reader last visited (before this session).
+   * 
+   * WHY TWO STORES:
+   * - localStorage keeps the last visit across sessions
+   * - sessionStorage keeps this session's baseline, so reloading the
+   *   page doesn't clear the "New" badges straight away
+   * 
+   * A first visit has no baseline: nothing is marked new.
+   * 
+   * @returns {Date|null} Previous visit time or null
+   */
+  function getLastVisit() {
+    try {
+      let baseline = sessionStorage.getItem(CONFIG.LAST_VISIT_KEY);
+
+      if (baseline === null) {
+        baseline = localStorage.getItem(CONFIG.LAST_VISIT_KEY) || "";
+        sessionStorage.setItem(CONFIG.LAST_VISIT_KEY, baseline);
+        localStorage.setItem(CONFIG.LAST_VISIT_KEY, new Date().toISOString());
+      }
+
+      const date = baseline ? new Date(baseline) : null;
+      return date && !Number.isNaN(date.getTime()) ? date : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Adds a "New" badge to cards published after the last visit.
+   * A story counts as published at local midnight on its date.
+   * 
+   * ACCESSIBILITY:
+   * - Badge is linked with aria-describedby, so the card announces "New"
+   * 
+   * @param {Date|null} since - From getLastVisit()
+   */
+  function markNewStories(since) {
+    if (!since) return;
+
+    document.querySelectorAll(".tarot-card").forEach((card) => {
+      const date = card.querySelector(".article-date");
+      const front = card.querySelector(".tarot-card-front");
+      if (!date || !front || front.querySelector(".new-badge")) return;
+
+      const published = new Date(`${date.getAttribute("datetime")}T00:00:00`);
+      if (!(published > since)) return;
+
+      const badge = createElement("span", "new-badge", "New");
+      badge.id = `new-badge-${card.dataset.cardId}`;
+      front.appendChild(badge);
+      addCardDescription(card, badge.id);
+    });
+  }
+
+  /**
+   * Wires the sort control and marks new stories.
+   * renderArticles() already sorted the first page (see sortArticles),
+   * so the first paint is in date order.
+   */
+  function initializeStorySorting() {
+    markNewStories(getLastVisit());
+
+    const select = document.querySelector("#latest-sort");
+    if (select) {
+      select.addEventListener("change", () => sortLatest(select.value));
+    }
+  }
+
+  // ============================================
+  // 20) PUBLIC API
+  // ============================================
+  // window.OceanRiches lets other scripts (and tests) drive the page:
+  // refresh() after inserting cards, openStory(id) to open one, and
+  // teardown() to remove the delegated interaction listeners.
+
+  /**
+   * Installs the delegated interaction listeners under one AbortController.
+   * Ripples (document), flip/open (feed grids) and "Summon more stories"
+   * all take its signal, so teardown() can remove them together.
+   * Does nothing if they are already installed.
+   */
+  function initializeInteractions() {
+    if (interactionState.controller) return;
+
+    interactionState.controller = new AbortController();
+    const { signal } = interactionState.controller;
+
+    initializeRippleEffects(signal);
+    initializeTarotCards(signal);
+    initializeLoadMore(signal);
+  }
+
+  /**
+   * Removes the delegated interaction listeners and clears pending work.
+   * 
+   * CLEARS:
+   * - Ripple, flip/open and load-more listeners (and infinite scroll)
+   * - A scheduled modal open (card flipped, modal not open yet)
+   * - Ripples still on screen
+   * 
+   * An open modal keeps its own listeners, so it can still be closed.
+   * refresh() installs everything again.
+   */
+  function teardown() {
+    if (!interactionState.controller) return;
+
+    interactionState.controller.abort();
+    interactionState.controller = null;
+    interactionState.hovering = new WeakSet();
+
+    if (modalState.openTimer) {
+      clearTimeout(modalState.openTimer);
+      modalState.openTimer = null;
+    }
+
+    document.querySelectorAll(`.${CONFIG.CLASSES.RIPPLE}`).forEach((ripple) => ripple.remove());
+  }
+
+  /**
+   * Re-syncs the page with whatever cards are in the grids now.
+   * Call after inserting or removing cards from outside this script.
+   * 
+   * FLOW:
+   * 1. Reinstall the interaction listeners if teardown() removed them
+   * 2. Tarot fronts, ripple containers, markers and filters (refreshCards)
+   * 3. Load-more button, open tag index and modal Previous/Next
+   */
+  function refresh() {
+    initializeInteractions();
+    refreshCards();
+    updateLoadMore();
+
+    const cloud = document.querySelector("#tag-cloud");
+    if (cloud && !cloud.hidden) renderTagCloud();
+    if (modalState.isOpen) updateModalStoryNav();
+  }
+
+  /**
+   * Opens a story's modal, as if its card had been chosen.
+   * 
+   * FLOW:
+   * 1. Find the card, rendering Latest pages if needed (ensureStoryCard)
+   * 2. Clear filters that hide it
+   * 3. Flip it, scroll it into view and focus it (focus returns there on close)
+   * 4. Zoom the modal open (pushes ?story= like a click)
+   * 
+   * @param {string|number} story - Slug ("moon-measure") or card id (3)
+   * @param {Object} [options]
+   * @param {boolean} [options.resume=false] - Scroll to the saved reading position
+   * @returns {boolean} True if the story exists and the modal is opening
+   */
+  function openStory(story, options = {}) {
+    const card = ensureStoryCard(story == null ? null : String(story));
+    if (!card || modalState.isOpen || modalState.isAnimating) return false;
+
+    if (card.hidden) clearAllFilters();
+
+    if (modalState.openTimer) {
+      clearTimeout(modalState.openTimer);
+      modalState.openTimer = null;
+    }
+
+    card.classList.add(CONFIG.CLASSES.FLIPPED);
+    card.scrollIntoView({ block: "center" });
+    card.focus({ preventScroll: true });
+    openFeaturedModalFromCard(card, { resume: Boolean(options.resume) });
+    return true;
+  }
+
+  /**
+   * Publishes the API as window.OceanRiches (frozen, so it can't be
+   * swapped out from under other scripts).
+   */
+  function exposePublicApi() {
+    window.OceanRiches = Object.freeze({ refresh, openStory, teardown });
+  }
+
+  // ============================================
+  // 21) THEMES
+  // ============================================
+  // Light, Abyssal (dark) and High contrast palettes live in styles.css
+  // (section 27) behind <html data-theme>. scripts/theme-boot.js sets the
+  // attribute before first paint; this section follows the OS settings
+  // live, runs the switcher and swaps the header/footer art to match.
+
+  /**
+   * Reads the reader's saved theme.
+   * localStorage can throw (privacy mode, blocked storage); treat that as no choice.
+   * 
+   * @returns {string|null} "light", "abyssal", "contrast" or null
+   */
+  function readThemePreference() {
+    try {
+      const saved = localStorage.getItem(CONFIG.THEME_STORAGE_KEY);
+      return CONFIG.THEMES.includes(saved) ? saved : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Theme the OS settings ask for.
+   * 
+   * PRIORITY:
+   * 1. prefers-contrast: more → "contrast"
+   * 2. prefers-color-scheme: light → "light"
+   * 3. "abyssal" (dark, the original palette)
+   * 
+   * @returns {string} Theme name
+   */
+  function getSystemTheme() {
+    const [contrast, light] = themeState.queries;
+    if (contrast && contrast.matches) return "contrast";
+    if (light && light.matches) return "light";
+    return "abyssal";
+  }
+
+  /**
+   * Points the header and footer <picture> sources at the active theme.
+   * 
+   * HOW IT WORKS:
+   * - Each <source data-theme-art> carries the OS media query that picks
+   *   its art by default; with a saved choice, theme-boot.js has already
+   *   pinned the sources while the page was parsed (same data-system-media)
+   * - A saved choice overrides the OS: the matching source gets
+   *   media="all", the others "not all" (Abyssal art is the <img> fallback)
+   * - Changing media makes the browser re-select the image
+   */
+  function applyThemeArt() {
+    document.querySelectorAll("source[data-theme-art]").forEach((source) => {
+      if (source.dataset.systemMedia === undefined) {
+        source.dataset.systemMedia = source.media;
+      }
+
+      if (!themeState.saved) {
+        source.media = source.dataset.systemMedia;
+      } else {
+        source.media = source.dataset.themeArt === themeState.theme ? "all" : "not all";
+      }
+    });
+  }
+
+  /**
+   * Resolves the effective theme and reflects it in the page.
+   * 
+   * PRIORITY:
+   * 1. Saved switcher choice
+   * 2. OS setting (see getSystemTheme)
+   */
+  function applyTheme() {
+    themeState.theme = themeState.saved || getSystemTheme();
+    document.documentElement.dataset.theme = themeState.theme;
+
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    if (themeColor) themeColor.content = CONFIG.THEME_COLORS[themeState.theme];
+
+    const select = document.querySelector(".theme-select");
+    if (select) select.value = themeState.saved || "system";
+
+    applyThemeArt();
+  }
+
+  /**
+   * Saves the reader's choice and applies it.
+   * "system" forgets the saved choice so the OS setting takes over again.
+   * 
+   * @param {string} preference - "system", "light", "abyssal" or "contrast"
+   */
+  function setThemePreference(preference) {
+    themeState.saved = CONFIG.THEMES.includes(preference) ? preference : null;
+
+    try {
+      if (themeState.saved) {
+        localStorage.setItem(CONFIG.THEME_STORAGE_KEY, themeState.saved);
+      } else {
+        localStorage.removeItem(CONFIG.THEME_STORAGE_KEY);
+      }
+    } catch (error) {
+      // Storage unavailable: the choice still applies for this visit
+    }
+
+    applyTheme();
+  }
+
+  /**
+   * Sets up OS theme detection and the nav theme switcher.
+   * 
+   * LIVE UPDATES:
+   * - Listens for changes to prefers-contrast and prefers-color-scheme
+   *   (OS switched to dark mode while the page is open); a saved
+   *   switcher choice still wins
+   */
+  function initializeTheme() {
+    themeState.saved = readThemePreference();
+
+    if (typeof window.matchMedia === "function") {
+      themeState.queries = [CONFIG.CONTRAST_QUERY, CONFIG.LIGHT_SCHEME_QUERY].map((query) => {
+        const mediaQuery = window.matchMedia(query);
+
+        // Safari < 14 only supports the older addListener API
+        if (typeof mediaQuery.addEventListener === "function") {
+          mediaQuery.addEventListener("change", applyTheme);
+        } else if (typeof mediaQuery.addListener === "function") {
+          mediaQuery.addListener(applyTheme);
+        }
+
+        return mediaQuery;
+      });
+    }
+
+    applyTheme();
+
+    const select = document.querySelector(".theme-select");
+    if (!select) return;
+
+    select.addEventListener("change", () => setThemePreference(select.value));
+  }
+
+  // ============================================
+  // 22) SHARE PANEL
+  // ============================================
+  // Share bar injected into the story modal. Uses the Web Share API where
+  // the browser has it; copy link, copy citation and the downloadable
+  // share card work everywhere; the print buttons hand off to section 26.
+  // Feedback goes to a toast inside the modal
+  // (the page behind is inert while it is open, so a toast there would be
+  // hidden from screen readers).
+
+  /**
+   * Collects what the share actions need for a story.
+   * Reads the feed record; a card added by another script falls back to
+   * the text on its back face.
+   * 
+   * WHY A CLEAN URL:
+   * - The address bar may carry #realm filters or other params; a shared
+   *   link should only name the story
+   * 
+   * @param {HTMLElement} card - Tarot card of the story
+   * @returns {Object} { title, author, date, url, image, fileName }
+   */
+  function getShareDetails(card) {
+    const story = getStoryKey(card);
+    const article = findArticleByStory(story) || {};
+    const heading = card.querySelector(".tarot-card-back .article-header h3");
+    const author = card.querySelector(".tarot-card-back .article-author");
+    const image = card.querySelector(".tarot-card-back .article-image");
+
+    const url = new URL(window.location.pathname, window.location.origin);
+    if (story) url.searchParams.set(CONFIG.STORY_PARAM, story);
+
+    return {
+      title: article.title || (heading ? heading.textContent.trim() : document.title),
+      author: article.author || (author ? author.textContent.replace(/^\s*By:\s*/, "").trim() : ""),
+      date: article.date || "",
+      url: url.toString(),
+      image: article.image ? article.image.src : image && image.getAttribute("src"),
+      fileName: `${story || "story"}-share-card.png`,
+    };
+  }
+
+  /**
+   * Formats a plain-text citation:
+   * “Title” by Author. Ocean Riches, January 8, 2026. https://…
+   * 
+   * @param {Object} details - From getShareDetails()
+   * @param {boolean} [withUrl=true] - Web Share passes the link separately
+   * @returns {string} Citation text
+   */
+  function formatCitation(details, withUrl = true) {
+    const byline = details.author ? ` by ${details.author}` : "";
+    const date = details.date ? `, ${formatArticleDate(details.date)}` : "";
+    const citation = `“${details.title}”${byline}. ${CONFIG.SITE_NAME}${date}.`;
+    return withUrl ? `${citation} ${details.url}` : citation;
+  }
+
+  /**
+   * Adds the share bar to the modal story, right under the byline.
+   * 
+   * ACCESSIBILITY:
+   * - role="group" with a label, so the buttons are announced together
+   * - Each aria-label starts with the visible text and names the story
+   *   ("Copy link to “Title”"), so voice control still matches the button
+   * - "Share…" only appears where navigator.share exists
+   * - "Print all Featured" names no story: it prints the whole section
+   * 
+   * @param {HTMLElement} modalBody - #featured-modal-body (freshly filled)
+   * @param {HTMLElement} card - Tarot card of the story
+   */
+  function renderShareBar(modalBody, card) {
+    const { title } = getShareDetails(card);
+
+    const bar = createElement("div", "share-bar");
+    bar.setAttribute("role", "group");
+    bar.setAttribute("aria-label", "Share this story");
+
+    const actions = [
+      { action: "copy-link", text: "Copy link", label: `Copy link to “${title}”` },
+      { action: "copy-citation", text: "Copy citation", label: `Copy citation for “${title}”` },
+      { action: "download-card", text: "Share card", label: `Share card: download an image of “${title}”` },
+      { action: "print", text: "Export / Print", label: `Export / Print “${title}”` },
+      { action: "print-featured", text: "Print all Featured", label: "Print all Featured stories" },
+    ];
+    if (typeof navigator.share === "function") {
+      actions.unshift({ action: "native", text: "Share…", label: `Share… “${title}”` });
+    }
+
+    actions.forEach(({ action, text, label }) => {
+      const button = createElement("button", "share-btn", text);
+      button.type = "button";
+      button.dataset.share = action;
+      button.setAttribute("aria-label", label);
+      bar.appendChild(button);
+    });
+
+    const meta = modalBody.querySelector(".article-meta");
+    if (meta) {
+      meta.after(bar);
+    } else {
+      modalBody.prepend(bar);
+    }
+  }
+
+  /**
+   * Shows a short message in the modal toast (also a polite live region).
+   * A new message replaces the current one and restarts the timer.
+   * 
+   * @param {string} message - Text to show and announce
+   */
+  function showToast(message) {
+    const toast = document.querySelector(".modal-toast");
+    if (!toast) return;
+
+    clearTimeout(shareState.toastTimer);
+    toast.replaceChildren(createElement("span", "modal-toast-message", message));
+
+    shareState.toastTimer = setTimeout(() => {
+      toast.replaceChildren();
+      shareState.toastTimer = null;
+    }, CONFIG.TOAST_MS);
+  }
+
+  /**
+   * Copies text to the clipboard.
+   * 
+   * FALLBACK:
+   * - navigator.clipboard needs a secure context (https or localhost);
+   *   elsewhere (or if permission is denied) a hidden textarea is
+   *   selected and copied with execCommand
+   * - The textarea goes inside the modal: the page behind is inert,
+   *   and inert content can't be selected
+   * 
+   * @param {string} text - Text to copy
+   * @returns {Promise<boolean>} True if the copy worked
+   */
+  async function copyText(text) {
+    if (navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
+      try {
+        await navigator.clipboard.writeText(text);
+        return true;
+      } catch (error) {
+        // Fall through to the selection fallback
+      }
+    }
+
+    const parts = getModalParts();
+    const host = parts ? parts.modalContent : document.body;
+    const focused = document.activeElement;
+
+    const field = createElement("textarea", "screen-reader-text");
+    field.value = text;
+    field.setAttribute("readonly", "");
+    field.setAttribute("aria-hidden", "true");
+    host.appendChild(field);
+    field.select();
+
+    let copied = false;
+    try {
+      copied = typeof document.execCommand === "function" && document.execCommand("copy");
+    } catch (error) {
+      copied = false;
+    }
+
+    field.remove();
+    if (focused) focused.focus({ preventScroll: true });
+    return copied;
+  }
+
+  /**
+   * Splits text into lines no wider than maxWidth in the current font.
+   * 
+   * @param {CanvasRenderingContext2D} context - Canvas with the font set
+   * @param {string} text - Text to wrap
+   * @param {number} maxWidth - Line width in px
+   * @returns {string[]} Lines
+   */
+  function wrapCanvasText(context, text, maxWidth) {
+    const lines = [];
+    let line = "";
+
+    text.split(/\s+/).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && context.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Loads the article image for drawing.
+   * Resolves null on failure: the card is drawn on a plain background.
+   * 
+   * @param {string|null} src - Image URL (same origin, so the canvas stays exportable)
+   * @returns {Promise<HTMLImageElement|null>}
+   */
+  function loadShareImage(src) {
+    if (!src) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => resolve(null);
+      image.src = src;
+    });
+  }
+
+  /**
+   * Draws the share card: article image (cover-cropped), a dark veil,
+   * the title, byline and site name, in the Abyssal palette.
+   * 
+   * LAYOUT:
+   * - Title in Cinzel Decorative, shrunk until it fits in 4 lines
+   * - Byline and site name pinned to the bottom edge
+   * 
+   * @param {Object} details - From getShareDetails()
+   * @returns {Promise<Blob>} PNG image
+   */
+  async function renderShareCard(details) {
+    const width = CONFIG.SHARE_CARD_WIDTH;
+    const height = CONFIG.SHARE_CARD_HEIGHT;
+    const padding = 72;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext("2d");
+    if (!context) throw new Error("Canvas is not supported");
+
+    // Web font may still be loading; canvas won't wait for it on its own
+    if (document.fonts && typeof document.fonts.load === "function") {
+      await document.fonts.load('700 64px "Cinzel Decorative"').catch(() => {});
+    }
+
+    context.fillStyle = "#273c3e";
+    context.fillRect(0, 0, width, height);
+
+    const image = await loadShareImage(details.image);
+    if (image) {
+      const scale = Math.max(width / image.naturalWidth, height / image.naturalHeight);
+      const drawWidth = image.naturalWidth * scale;
+      const drawHeight = image.naturalHeight * scale;
+      context.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    const veil = context.createLinearGradient(0, 0, 0, height);
+    veil.addColorStop(0, "rgba(11, 12, 12, 0.55)");
+    veil.addColorStop(1, "rgba(11, 12, 12, 0.9)");
+    context.fillStyle = veil;
+    context.fillRect(0, 0, width, height);
+
+    context.strokeStyle = "#59e5ef";
+    context.lineWidth = 6;
+    context.strokeRect(24, 24, width - 48, height - 48);
+
+    // Title: largest size (64px → 36px) that fits in 4 lines
+    let fontSize = 64;
+    let lines = [];
+    do {
+      context.font = `700 ${fontSize}px "Cinzel Decorative", Georgia, serif`;
+      lines = wrapCanvasText(context, details.title, width - padding * 2);
+      fontSize -= 4;
+    } while (lines.length > 4 && fontSize >= 36);
+
+    const lineHeight = (fontSize + 4) * 1.2;
+    context.fillStyle = "#fbe134";
+    context.textBaseline = "top";
+    lines.slice(0, 4).forEach((line, index) => {
+      context.fillText(line, padding, padding + index * lineHeight);
+    });
+
+    context.font = '32px "Macondo Swash Caps", Georgia, serif';
+    context.fillStyle = "#eeeeee";
+    context.textBaseline = "bottom";
+    const byline = [details.author, details.date && formatArticleDate(details.date)].filter(Boolean).join(" · ");
+    context.fillText(byline, padding, height - padding);
+
+    context.fillStyle = "#59e5ef";
+    context.textAlign = "right";
+    context.fillText(CONFIG.SITE_NAME, width - padding, height - padding);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Could not export the card"))), "image/png");
+    });
+  }
+
+  /**
+   * Renders the share card and saves it through a temporary download link.
+   * 
+   * @param {Object} details - From getShareDetails()
+   */
+  async function downloadShareCard(details) {
+    if (shareState.rendering) return;
+    shareState.rendering = true;
+    showToast("Painting your share card…");
+
+    try {
+      const blob = await renderShareCard(details);
+      const link = createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = details.fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+      showToast("Share card downloaded");
+    } catch (error) {
+      console.error("Could not create the share card:", error);
+      showToast("The share card couldn't be drawn in this browser.");
+    } finally {
+      shareState.rendering = false;
+    }
+  }
+
+  /**
+   * Runs one share action for the story in the modal.
+   * 
+   * ACTIONS:
+   * - native: Web Share sheet (title, citation text, link); a cancelled
+   *   sheet (AbortError) is silent, other failures point at Copy link
+   * - copy-link / copy-citation: clipboard + toast
+   * - download-card: PNG download + toast
+   * - print / print-featured: print layout for this story or every
+   *   Featured story (section 26)
+   * 
+   * @param {string} action - data-share value of the clicked button
+   * @param {HTMLElement} card - Tarot card of the story
+   */
+  async function shareStory(action, card) {
+    const details = getShareDetails(card);
+
+    if (action === "native") {
+      try {
+        await navigator.share({ title: details.title, text: formatCitation(details, false), url: details.url });
+      } catch (error) {
+        if (error.name !== "AbortError") showToast("Sharing isn't available here. Try Copy link instead.");
+      }
+      return;
+    }
+
+    if (action === "copy-link" || action === "copy-citation") {
+      const isLink = action === "copy-link";
+      const copied = await copyText(isLink ? details.url : formatCitation(details));
+      if (copied) {
+        showToast(isLink ? "Link copied" : "Citation copied");
+      } else {
+        showToast("Couldn't reach the clipboard. Copy the link from the address bar instead.");
+      }
+      return;
+    }
+
+    if (action === "download-card") downloadShareCard(details);
+    if (action === "print") printStories([card], "story");
+    if (action === "print-featured") printStories(getFeaturedCards(), "featured");
+  }
+
+  /**
+   * Wires the share bar. One delegated listener on the modal covers every
+   * story, since the bar is rebuilt each time the modal body is filled.
+   */
+  function initializeShare() {
+    const parts = getModalParts();
+    if (!parts) return;
+
+    parts.modalBody.addEventListener("click", (e) => {
+      const button = e.target.closest(".share-btn");
+      if (!button || !modalState.lastCard) return;
+
+      shareStory(button.dataset.share, modalState.lastCard);
+    });
+  }
+
+  // ============================================
+  // 23) TAVERN TALK (REACTIONS + COMMENTS)
+  // ============================================
+  // Reaction bar and threaded comments at the end of the story in the
+  // modal. Reads and writes go through a storage adapter:
+  //
+  //   load(story)                    → { reactions, comments }
+  //   react(story, key, delta)       → reactions   (delta: 1 or -1)
+  //   addComment(story, comment)     → saved comment
+  //
+  // All methods return promises, so the local and REST adapters (and any
+  // future one) are interchangeable. Which reactions *this* reader gave is
+  // kept in localStorage for every adapter.
+  //
+  // Comments are untrusted text from any store: they are cleaned on the way
+  // in and on the way out, and only ever inserted with textContent. They
+  // live in the modal, never on the card back, so fillModalBody's innerHTML
+  // copy never sees them.
+
+  /**
+   * Storage adapter that keeps talk in this browser (the default).
+   * Data shape: { [story]: { reactions: { [key]: count }, comments: [] } }
+   * 
+   * @returns {Object} Adapter with load / react / addComment
+   */
+  function createLocalTavernStore() {
+    const read = () => {
+      try {
+        const data = JSON.parse(localStorage.getItem(CONFIG.TAVERN_STORAGE_KEY));
+        return data && typeof data === "object" ? data : {};
+      } catch (error) {
+        return {};
+      }
+    };
+
+    const update = (story, change) => {
+      const data = read();
+      const talk = data[story] || { reactions: {}, comments: [] };
+      const result = change(talk);
+      data[story] = talk;
+      localStorage.setItem(CONFIG.TAVERN_STORAGE_KEY, JSON.stringify(data));
+      return result;
+    };
+
+    return {
+      async load(story) {
+        return read()[story] || { reactions: {}, comments: [] };
+      },
+
+      async react(story, key, delta) {
+        return update(story, (talk) => {
+          talk.reactions[key] = Math.max(0, (talk.reactions[key] || 0) + delta);
+          return talk.reactions;
+        });
+      },
+
+      async addComment(story, comment) {
+        return update(story, (talk) => {
+          const saved = {
+            ...comment,
+            id: `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            createdAt: new Date().toISOString(),
+          };
+          talk.comments.push(saved);
+          return saved;
+        });
+      },
+    };
+  }
+
+  /**
+   * Storage adapter for a REST endpoint (a local mock server works).
+   * 
+   * ROUTES (relative to the base URL, JSON in and out):
+   * - GET  /stories/<story>/talk       → { reactions, comments }
+   * - POST /stories/<story>/reactions  { reaction, delta } → { reactions }
+   * - POST /stories/<story>/comments   { parentId, name, text } → comment
+   *   (the server assigns id and createdAt)
+   * 
+   * @param {string} endpoint - Base URL without a trailing slash
+   * @returns {Object} Adapter with load / react / addComment
+   */
+  function createRestTavernStore(endpoint) {
+    const request = async (path, body) => {
+      const response = await fetch(`${endpoint}/stories/${encodeURIComponent(path[0])}/${path[1]}`, {
+        method: body ? "POST" : "GET",
+        headers: body ? { "Content-Type": "application/json" } : {},
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      if (!response.ok) {
+        throw new Error(`Tavern request failed (${response.status})`);
+      }
+      return response.json();
+    };
+
+    return {
+      load: (story) => request([story, "talk"]),
+      react: async (story, key, delta) => (await request([story, "reactions"], { reaction: key, delta })).reactions,
+      addComment: (story, comment) => request([story, "comments"], comment),
+    };
+  }
+
+  /**
+   * Returns the storage adapter, creating it on first use.
+   * "rest" without an endpoint falls back to local storage.
+   * 
+   * @returns {Object} Storage adapter
+   */
+  function getTavernStore() {
+    if (!tavernState.store) {
+      tavernState.store =
+        CONFIG.TAVERN_STORAGE === "rest" && CONFIG.TAVERN_ENDPOINT
+          ? createRestTavernStore(CONFIG.TAVERN_ENDPOINT.replace(/\/+$/, ""))
+          : createLocalTavernStore();
+    }
+    return tavernState.store;
+  }
+
+  /**
+   * Reads which reactions this reader gave to a story.
+   * 
+   * @param {string} story - Story key
+   * @returns {string[]} Reaction keys
+   */
+  function loadMyReactions(story) {
+    try {
+      const mine = JSON.parse(localStorage.getItem(CONFIG.TAVERN_MINE_KEY)) || {};
+      return Array.isArray(mine[story]) ? mine[story] : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Saves which reactions this reader gave to a story.
+   * 
+   * @param {string} story - Story key
+   * @param {string[]} keys - Reaction keys
+   */
+  function saveMyReactions(story, keys) {
+    try {
+      const mine = JSON.parse(localStorage.getItem(CONFIG.TAVERN_MINE_KEY)) || {};
+      mine[story] = keys;
+      localStorage.setItem(CONFIG.TAVERN_MINE_KEY, JSON.stringify(mine));
+    } catch (error) {
+      // Storage unavailable: the toggle still shows for this visit
+    }
+  }
+
+  /**
+   * Cleans comment text (or a name) before it is stored or shown.
+   * 
+   * REMOVES:
+   * - Control characters (except line breaks in comments)
+   * - Zero-width and bidirectional override characters, which can hide
+   *   or reorder text ("Trojan Source" spoofing)
+   * - Runs of blank lines; names become a single line
+   * 
+   * Markup is left as literal text: it is rendered with textContent, so
+   * "<img onerror=…>" shows up as typed instead of running.
+   * 
+   * @param {*} value - Raw input (anything a store returned)
+   * @param {number} maxLength - Characters kept
+   * @param {boolean} [singleLine=false] - Collapse all whitespace (names)
+   * @returns {string} Clean text ("" if nothing usable)
+   */
+  function sanitizeCommentText(value, maxLength, singleLine = false) {
+    let text = String(value == null ? "" : value)
+      .normalize("NFC")
+      .replace(/\r\n?/g, "\n")
+      .replace(/[\u0000-\u0009\u000B-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/g, "");
+
+    text = singleLine ? text.replace(/\s+/g, " ") : text.replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n");
+    return Array.from(text.trim()).slice(0, maxLength).join("").trim();
+  }
+
+  /**
+   * Turns whatever a store returned into safe, predictable talk.
+   * Unknown reactions, bad counts and unusable comments are dropped;
+   * replies to a missing comment become top-level comments. Comments are
+   * sorted oldest first: a REST store may return them in any order.
+   * 
+   * @param {Object} data - Raw { reactions, comments }
+   * @returns {Object} { reactions: { [key]: number }, comments: Object[] }
+   */
+  function normalizeTalk(data) {
+    const source = data && typeof data === "object" ? data : {};
+    const reactions = {};
+    CONFIG.REACTIONS.forEach(({ key }) => {
+      const count = Number(source.reactions && source.reactions[key]);
+      reactions[key] = Number.isFinite(count) && count > 0 ? Math.floor(count) : 0;
+    });
+
+    const comments = (Array.isArray(source.comments) ? source.comments : [])
+      .filter((comment) => comment && typeof comment === "object")
+      .map((comment) => ({
+        id: sanitizeCommentText(comment.id, 64, true),
+        parentId: comment.parentId ? sanitizeCommentText(comment.parentId, 64, true) : null,
+        name: sanitizeCommentText(comment.name, CONFIG.COMMENT_NAME_MAX, true) || "A passing traveller",
+        text: sanitizeCommentText(comment.text, CONFIG.COMMENT_MAX_CHARS),
+        createdAt: String(comment.createdAt || ""),
+      }))
+      .filter((comment) => comment.id && comment.text)
+      .sort((a, b) => (Date.parse(a.createdAt) || 0) - (Date.parse(b.createdAt) || 0));
+
+    const ids = new Set(comments.map((comment) => comment.id));
+    comments.forEach((comment) => {
+      if (!ids.has(comment.parentId) || comment.parentId === comment.id) comment.parentId = null;
+    });
+
+    return { reactions, comments };
+  }
+
+  /**
+   * Formats a comment's ISO timestamp as "Mar 3, 4:05 PM".
+   * 
+   * @param {string} isoTime - createdAt from the store
+   * @returns {string} Display text ("" for an invalid time)
+   */
+  function formatCommentTime(isoTime) {
+    const time = new Date(isoTime);
+    if (Number.isNaN(time.getTime())) return "";
+    return time.toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+  }
+
+  /**
+   * Builds the reaction toggle buttons (counts filled by updateReactionBar).
+   * 
+   * ACCESSIBILITY:
+   * - aria-pressed shows which reactions are the reader's
+   * - The emoji is hidden; the label names the reaction and its count
+   * 
+   * @returns {HTMLElement} .reaction-bar group
+   */
+  function buildReactionBar() {
+    const bar = createElement("div", "reaction-bar");
+    bar.setAttribute("role", "group");
+    bar.setAttribute("aria-label", "Reactions");
+
+    CONFIG.REACTIONS.forEach(({ key, emoji }) => {
+      const button = createElement("button", "reaction-btn");
+      button.type = "button";
+      button.dataset.reaction = key;
+
+      const icon = createElement("span", "reaction-emoji", emoji);
+      icon.setAttribute("aria-hidden", "true");
+      button.appendChild(icon);
+      button.appendChild(createElement("span", "reaction-count", "0"));
+      bar.appendChild(button);
+    });
+
+    return bar;
+  }
+
+  /**
+   * Writes counts and the reader's picks into the reaction buttons.
+   * Updates in place, so a pressed button keeps focus.
+   * 
+   * @param {HTMLElement} bar - .reaction-bar
+   * @param {Object} reactions - { [key]: count }
+   * @param {string[]} mine - Keys this reader picked
+   */
+  function updateReactionBar(bar, reactions, mine) {
+    CONFIG.REACTIONS.forEach(({ key, label }) => {
+      const button = bar.querySelector(`.reaction-btn[data-reaction="${key}"]`);
+      if (!button) return;
+
+      const count = reactions[key] || 0;
+      button.querySelector(".reaction-count").textContent = String(count);
+      button.setAttribute("aria-pressed", String(mine.includes(key)));
+      button.setAttribute("aria-label", `${label}: ${count} ${count === 1 ? "reaction" : "reactions"}`);
+    });
+  }
+
+  /**
+   * Builds the nested comment list for one parent.
+   * Replies deeper than COMMENT_MAX_DEPTH stay at the last level.
+   * 
+   * @param {Object[]} comments - Normalized comments
+   * @param {string|null} [parentId=null] - Parent whose replies to list
+   * @param {number} [depth=1] - Nesting level of this list
+   * @returns {HTMLElement|null} <ol> or null when there are none
+   */
+  function buildCommentThread(comments, parentId = null, depth = 1) {
+    const children = comments.filter((comment) => comment.parentId === parentId);
+    if (!children.length) return null;
+
+    const list = createElement("ol", "comment-thread");
+
+    children.forEach((comment) => {
+      const item = createElement("li", "comment");
+      item.dataset.commentId = comment.id;
+
+      const meta = createElement("p", "comment-meta");
+      meta.appendChild(createElement("span", "comment-name", comment.name));
+      const timeText = formatCommentTime(comment.createdAt);
+      if (timeText) {
+        const time = createElement("time", "comment-time", timeText);
+        time.dateTime = comment.createdAt;
+        meta.appendChild(time);
+      }
+      item.appendChild(meta);
+      item.appendChild(createElement("p", "comment-text", comment.text));
+
+      const reply = createElement("button", "comment-reply-btn", "Reply");
+      reply.type = "button";
+      reply.setAttribute("aria-label", `Reply to ${comment.name}`);
+      item.appendChild(reply);
+
+      // The last level lists the whole sub-thread flat, oldest first
+      const replies =
+        depth + 1 < CONFIG.COMMENT_MAX_DEPTH
+          ? buildCommentThread(comments, comment.id, depth + 1)
+          : buildCommentThread(flattenReplies(comments, comment.id), comment.id, depth + 1);
+      if (replies) item.appendChild(replies);
+
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  /**
+   * Every descendant of a comment, re-parented to it, oldest first.
+   * Used for the last thread level so deep replies don't indent further.
+   * 
+   * @param {Object[]} comments - Normalized comments
+   * @param {string} parentId - Comment at the deepest level
+   * @returns {Object[]} Descendants with parentId set to parentId
+   */
+  function flattenReplies(comments, parentId) {
+    // Walk down the thread until no new descendant turns up, so a reply
+    // timestamped before its parent (clock skew) is still found
+    const ids = new Set([parentId]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      comments.forEach((comment) => {
+        if (!ids.has(comment.parentId) || ids.has(comment.id)) return;
+        ids.add(comment.id);
+        grew = true;
+      });
+    }
+
+    return comments
+      .filter((comment) => comment.id !== parentId && ids.has(comment.id))
+      .map((comment) => ({ ...comment, parentId }));
+  }
+
+  /**
+   * Builds the comment form (the panel's main form, or a reply form).
+   * 
+   * @param {string|null} parentId - Comment being replied to, null for a new thread
+   * @param {string} [replyTo] - Name shown in the reply form's heading
+   * @returns {HTMLFormElement} .comment-form
+   */
+  function buildCommentForm(parentId, replyTo) {
+    const form = createElement("form", "comment-form");
+    form.noValidate = true;
+    if (parentId) form.dataset.parentId = parentId;
+
+    const suffix = parentId ? `reply-${parentId}` : "new";
+    const fields = [
+      { name: "name", label: "Your name", tag: "input", max: CONFIG.COMMENT_NAME_MAX },
+      { name: "text", label: parentId ? `Reply to ${replyTo}` : "Add to the gossip", tag: "textarea", max: CONFIG.COMMENT_MAX_CHARS },
+    ];
+
+    fields.forEach(({ name, label, tag, max }) => {
+      const id = `comment-${name}-${suffix}`;
+      const field = createElement("div", "comment-field");
+      const labelElement = createElement("label", "", label);
+      labelElement.htmlFor = id;
+
+      const input = createElement(tag, "comment-input");
+      input.id = id;
+      input.name = name;
+      input.maxLength = max;
+      input.required = true;
+      if (tag === "input") {
+        input.type = "text";
+        input.autocomplete = "nickname";
+      } else {
+        input.rows = parentId ? 2 : 3;
+      }
+
+      field.appendChild(labelElement);
+      field.appendChild(input);
+      form.appendChild(field);
+    });
+
+    const actions = createElement("div", "comment-actions");
+    const submit = createElement("button", "comment-submit", parentId ? "Post reply" : "Post to the tavern");
+    submit.type = "submit";
+    actions.appendChild(submit);
+
+    if (parentId) {
+      const cancel = createElement("button", "comment-cancel", "Cancel");
+      cancel.type = "button";
+      actions.appendChild(cancel);
+    }
+
+    form.appendChild(actions);
+    return form;
+  }
+
+  /**
+   * Draws the reactions, thread and comment form from tavernState.talk.
+   * First call adds the reaction bar and form; later calls update the
+   * counts and swap in a fresh thread.
+   * 
+   * ORDER: heading, reactions, status, thread, form
+   * 
+   * @param {HTMLElement} panel - .tavern-talk section
+   */
+  function drawTavernTalk(panel) {
+    const { talk, story } = tavernState;
+    const status = panel.querySelector(".tavern-status");
+
+    let bar = panel.querySelector(".reaction-bar");
+    if (!bar) {
+      bar = buildReactionBar();
+      status.before(bar);
+    }
+    updateReactionBar(bar, talk.reactions, loadMyReactions(story));
+
+    const thread =
+      buildCommentThread(talk.comments) ||
+      createElement("p", "comment-empty", "No tales yet. Start the gossip.");
+    const oldThread = panel.querySelector(":scope > .comment-thread, :scope > .comment-empty");
+    if (oldThread) {
+      oldThread.replaceWith(thread);
+    } else {
+      status.after(thread);
+    }
+
+    if (!panel.querySelector(":scope > .comment-form")) {
+      panel.appendChild(buildCommentForm(null));
+    }
+  }
+
+  /**
+   * Adds the Tavern talk panel to the end of the modal story and loads
+   * its reactions and comments from the store.
+   * 
+   * FLOW:
+   * 1. Panel appears at once with a "Gathering…" status
+   * 2. Store answers → reactions, thread and comment form drawn
+   * 3. Ignored if the reader has moved to another story meanwhile
+   * 
+   * @param {HTMLElement} modalBody - #featured-modal-body (freshly filled)
+   * @param {HTMLElement} card - Tarot card of the story
+   */
+  function renderTavernTalk(modalBody, card) {
+    const story = getStoryKey(card);
+    if (!story) return;
+
+    tavernState.story = story;
+    tavernState.talk = null;
+
+    const panel = createElement("section", "tavern-talk");
+    panel.setAttribute("aria-labelledby", "tavern-talk-heading");
+
+    const heading = createElement("h4", "tavern-talk-heading", "Tavern talk");
+    heading.id = "tavern-talk-heading";
+    panel.appendChild(heading);
+
+    const status = createElement("p", "tavern-status", "Gathering the tavern's gossip…");
+    status.setAttribute("role", "status");
+    panel.appendChild(status);
+    modalBody.appendChild(panel);
+
+    getTavernStore()
+      .load(story)
+      .then((data) => {
+        if (tavernState.story !== story || !panel.isConnected) return;
+        tavernState.talk = normalizeTalk(data);
+        status.textContent = "";
+        drawTavernTalk(panel);
+      })
+      .catch((error) => {
+        console.error("Could not load tavern talk:", error);
+        if (panel.isConnected) status.textContent = "The tavern is closed right now. Try again later.";
+      });
+  }
+
+  /**
+   * Adds or removes the reader's reaction.
+   * The button updates at once and rolls back if the store fails.
+   * 
+   * ONE SAVE AT A TIME:
+   * - Presses while that reaction is still saving are ignored
+   *   (aria-disabled meanwhile); two overlapping writes to a REST store
+   *   would leave whichever answered last as the count
+   * 
+   * @param {HTMLElement} button - .reaction-btn that was pressed
+   */
+  async function toggleReaction(button) {
+    const { story, talk } = tavernState;
+    const panel = button.closest(".tavern-talk");
+    if (!story || !talk || !panel) return;
+
+    const key = button.dataset.reaction;
+    const saving = `${story}:${key}`;
+    if (tavernState.reacting.has(saving)) return;
+    tavernState.reacting.add(saving);
+    button.setAttribute("aria-disabled", "true");
+
+    const mine = loadMyReactions(story);
+    const adding = !mine.includes(key);
+    const delta = adding ? 1 : -1;
+    const previous = { ...talk.reactions };
+
+    talk.reactions[key] = Math.max(0, talk.reactions[key] + delta);
+    saveMyReactions(story, adding ? [...mine, key] : mine.filter((picked) => picked !== key));
+    drawTavernTalk(panel);
+
+    try {
+      const reactions = await getTavernStore().react(story, key, delta);
+      trackActivity("reaction", story, { reaction: key, delta }).then(updateTrendingBadges);
+      if (tavernState.story !== story) return;
+      talk.reactions = normalizeTalk({ reactions }).reactions;
+    } catch (error) {
+      console.error("Could not save the reaction:", error);
+      if (tavernState.story !== story) return;
+      talk.reactions = previous;
+      saveMyReactions(story, mine);
+      panel.querySelector(".tavern-status").textContent = "That reaction didn't reach the tavern. Try again.";
+    } finally {
+      tavernState.reacting.delete(saving);
+      button.removeAttribute("aria-disabled");
+    }
+
+    if (panel.isConnected) drawTavernTalk(panel);
+  }
+
+  /**
+   * Validates and saves a comment or reply, then redraws the thread.
+   * 
+   * FLOW:
+   * 1. Clean both fields; empty after cleaning → aria-invalid + focus
+   * 2. Save through the store (submit disabled meanwhile)
+   * 3. Success → thread redrawn, reply form closed, status announces it
+   * 4. Failure → text kept in the form, status explains
+   * 
+   * @param {HTMLFormElement} form - .comment-form that was submitted
+   */
+  async function submitComment(form) {
+    const { story, talk } = tavernState;
+    const panel = form.closest(".tavern-talk");
+    if (!story || !talk || !panel) return;
+
+    const status = panel.querySelector(".tavern-status");
+    const nameInput = form.elements.name;
+    const textInput = form.elements.text;
+    const name = sanitizeCommentText(nameInput.value, CONFIG.COMMENT_NAME_MAX, true);
+    const text = sanitizeCommentText(textInput.value, CONFIG.COMMENT_MAX_CHARS);
+
+    nameInput.setAttribute("aria-invalid", String(!name));
+    textInput.setAttribute("aria-invalid", String(!text));
+    if (!name || !text) {
+      status.textContent = !name ? "Give the tavern a name to call you by." : "Write something before posting.";
+      (!name ? nameInput : textInput).focus();
+      return;
+    }
+
+    const submit = form.querySelector(".comment-submit");
+    submit.disabled = true;
+
+    try {
+      const saved = await getTavernStore().addComment(story, {
+        parentId: form.dataset.parentId || null,
+        name,
+        text,
+      });
+      if (tavernState.story !== story || !panel.isConnected) return;
+
+      talk.comments = normalizeTalk({ comments: [...talk.comments, saved] }).comments;
+      drawTavernTalk(panel);
+      status.textContent = form.dataset.parentId ? "Reply posted." : "Comment posted.";
+
+      if (form.dataset.parentId) {
+        form.remove();
+      } else {
+        textInput.value = "";
+        submit.disabled = false;
+      }
+
+      const posted = Array.from(panel.querySelectorAll(".comment")).find(
+        (comment) => comment.dataset.commentId === String(saved.id)
+      );
+      if (posted) posted.scrollIntoView({ block: "nearest", behavior: getScrollBehavior() });
+    } catch (error) {
+      console.error("Could not post the comment:", error);
+      submit.disabled = false;
+      status.textContent = "Your words didn't reach the tavern. Try again.";
+    }
+  }
+
+  /**
+   * Wires the Tavern talk panel. Delegated on the modal body, since the
+   * panel is rebuilt for every story.
+   * 
+   * - Reaction buttons toggle
+   * - Reply opens one reply form under the comment (focus moves into it);
+   *   Cancel closes it and returns focus to the Reply button
+   * - Any comment form submits through submitComment()
+   */
+  function initializeTavernTalk() {
+    const parts = getModalParts();
+    if (!parts) return;
+
+    const { modalBody } = parts;
+
+    modalBody.addEventListener("click", (e) => {
+      const reaction = e.target.closest(".reaction-btn");
+      if (reaction) {
+        toggleReaction(reaction);
+        return;
+      }
+
+      const reply = e.target.closest(".comment-reply-btn");
+      if (reply) {
+        const comment = reply.closest(".comment");
+        modalBody.querySelectorAll(".comment .comment-form").forEach((form) => form.remove());
+
+        const form = buildCommentForm(
+          comment.dataset.commentId,
+          comment.querySelector(".comment-name").textContent
+        );
+        reply.after(form);
+
+        // Carry the name over from the main form
+        const mainName = modalBody.querySelector(".tavern-talk > .comment-form [name='name']");
+        if (mainName) form.elements.name.value = mainName.value;
+        (form.elements.name.value ? form.elements.text : form.elements.name).focus();
+        return;
+      }
+
+      const cancel = e.target.closest(".comment-cancel");
+      if (cancel) {
+        const form = cancel.closest(".comment-form");
+        const replyButton = form.previousElementSibling;
+        form.remove();
+        if (replyButton) replyButton.focus();
+      }
+    });
+
+    modalBody.addEventListener("submit", (e) => {
+      const form = e.target.closest(".comment-form");
+      if (!form) return;
+
+      e.preventDefault();
+      submitComment(form);
+    });
+  }
+
+  // ============================================
+  // 24) ANALYTICS & TRENDING
+  // ============================================
+  // Structured reading events, sent in batches to a self-hosted collector,
+  // and the nav "Trending topics" badges computed from a local copy.
+  // Events go to sinks:
+  //
+  //   send(events)   → stores / forwards a batch
+  //   load()         → recent events (local log only)
+  //
+  // Both return promises, like the tavern adapters (section 23).
+  //
+  // SINKS:
+  // - Local log (always): the events the badges need, kept in this
+  //   browser. Nothing in it leaves the device.
+  // - Collector (CONFIG.ANALYTICS_ENDPOINT): every event, batched and
+  //   sent with navigator.sendBeacon(). Only with the reader's consent,
+  //   and never when the browser sends Do Not Track / Global Privacy Control.
+  //
+  // EVENTS ({ type, at, story, ...details }):
+  // - card_flip     { side: "back" | "front" }
+  // - modal_open
+  // - modal_close   { dwellMs, depth, reason: "close" | "turn" | "pagehide" }
+  // - scroll_depth  { depth }           - 25 / 50 / 75 / 100 (% of the story)
+  // - reaction      { reaction, delta }
+  // - search        { query, results, story: picked result or null }
+  // - filter_change { realm, tags, tagMode, results }
+
+  /**
+   * Activity sink that keeps the trending events in localStorage.
+   * Only event types a badge uses (CONFIG.TRENDING_BADGES) are kept, and
+   * only the newest CONFIG.ACTIVITY_MAX_EVENTS younger than
+   * CONFIG.ACTIVITY_MAX_AGE_DAYS.
+   * 
+   * OLDER LOGS:
+   * Logs written before the analytics events were named use "open" and
+   * "dwell" ({ ms }). They are read as modal_open / modal_close
+   * ({ dwellMs }) and saved that way on the next send, so a returning
+   * reader's history still counts toward the badges.
+   * 
+   * @returns {Object} Sink with send / load
+   */
+  function createLocalActivitySink() {
+    const types = Object.values(CONFIG.TRENDING_BADGES);
+
+    const migrate = (event) => {
+      if (!event) return event;
+      if (event.type === "open") return { ...event, type: "modal_open" };
+      if (event.type !== "dwell") return event;
+
+      const { ms, ...rest } = event;
+      return { ...rest, type: "modal_close", dwellMs: ms };
+    };
+
+    const read = () => {
+      try {
+        const events = JSON.parse(localStorage.getItem(CONFIG.ACTIVITY_STORAGE_KEY));
+        return Array.isArray(events) ? events.map(migrate) : [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    return {
+      async send(events) {
+        const wanted = events.filter((event) => types.includes(event.type));
+        if (!wanted.length) return;
+
+        const oldest = Date.now() - CONFIG.ACTIVITY_MAX_AGE_DAYS * 86400000;
+        const kept = [...read(), ...wanted]
+          .filter((event) => event && event.at >= oldest)
+          .slice(-CONFIG.ACTIVITY_MAX_EVENTS);
+        localStorage.setItem(CONFIG.ACTIVITY_STORAGE_KEY, JSON.stringify(kept));
+      },
+
+      async load() {
+        return read();
+      },
+    };
+  }
+
+  /**
+   * Activity sink that batches events for a collector endpoint.
+   * 
+   * BATCHING:
+   * - Sent once CONFIG.ANALYTICS_BATCH_SIZE events are waiting, or
+   *   CONFIG.ANALYTICS_FLUSH_MS after the first one
+   * - flush() also runs when the tab is hidden or the page unloads
+   *   (see initializeAnalytics); sendBeacon() survives the unload
+   * 
+   * PAYLOAD (POST, JSON sent as text/plain so no CORS preflight is needed):
+   *   { session, page, sentAt, events: [...] }
+   * 
+   * A beacon the browser refuses (quota) stays queued for the next flush;
+   * the queue never holds more than CONFIG.ANALYTICS_MAX_QUEUE events.
+   * 
+   * @param {string} endpoint - Collector URL
+   * @returns {Object} Sink with send / flush / discard
+   */
+  function createBeaconActivitySink(endpoint) {
+    let queue = [];
+    let timer = null;
+
+    const flush = () => {
+      clearTimeout(timer);
+      timer = null;
+      if (!queue.length) return;
+
+      const events = queue;
+      queue = [];
+      const body = JSON.stringify({
+        session: activityState.session,
+        page: window.location.pathname,
+        sentAt: Date.now(),
+        events,
+      });
+
+      if (typeof navigator.sendBeacon !== "function") {
+        fetch(endpoint, { method: "POST", body, keepalive: true }).catch((error) =>
+          console.warn("Could not send analytics:", error)
+        );
+      } else if (!navigator.sendBeacon(endpoint, body)) {
+        queue = [...events, ...queue].slice(-CONFIG.ANALYTICS_MAX_QUEUE);
+        return;
+      }
+
+      if (CONFIG.ANALYTICS_DEBUG) console.info(`[analytics] sent ${events.length} event(s) to ${endpoint}`);
+    };
+
+    return {
+      async send(events) {
+        queue = [...queue, ...events].slice(-CONFIG.ANALYTICS_MAX_QUEUE);
+        if (queue.length >= CONFIG.ANALYTICS_BATCH_SIZE) {
+          flush();
+        } else if (!timer) {
+          timer = setTimeout(flush, CONFIG.ANALYTICS_FLUSH_MS);
+        }
+      },
+
+      flush,
+
+      discard() {
+        clearTimeout(timer);
+        timer = null;
+        queue = [];
+      },
+    };
+  }
+
+  /**
+   * Returns the local log sink, creating it on first use.
+   * 
+   * @returns {Object} Local activity sink
+   */
+  function getActivityLog() {
+    if (!activityState.log) {
+      activityState.log = createLocalActivitySink();
+    }
+    return activityState.log;
+  }
+
+  /**
+   * Returns the collector sink, or null without an endpoint.
+   * 
+   * @returns {Object|null} Beacon activity sink
+   */
+  function getCollector() {
+    if (!activityState.collector && CONFIG.ANALYTICS_ENDPOINT) {
+      activityState.collector = createBeaconActivitySink(CONFIG.ANALYTICS_ENDPOINT);
+    }
+    return activityState.collector;
+  }
+
+  /**
+   * Checks the browser's Do Not Track / Global Privacy Control signals.
+   * 
+   * @returns {boolean} True if the reader asked not to be tracked
+   */
+  function isDoNotTrack() {
+    const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    return dnt === "1" || dnt === "yes" || navigator.globalPrivacyControl === true;
+  }
+
+  /**
+   * Decides whether events may go to the collector.
+   * 
+   * PRIORITY:
+   * 1. No endpoint → nothing to send to
+   * 2. Do Not Track / Global Privacy Control → never, whatever the toggle says
+   * 3. The reader's consent (off until they turn it on)
+   * 
+   * @returns {boolean} True if the collector gets events
+   */
+  function canSendAnalytics() {
+    return Boolean(CONFIG.ANALYTICS_ENDPOINT) && !isDoNotTrack() && activityState.consent;
+  }
+
+  /**
+   * Records one event: local log, then the collector if allowed.
+   * Storage and network failures are logged and ignored; tracking never
+   * breaks reading.
+   * 
+   * @param {string} type - Event type (see the list above)
+   * @param {string|null} story - Story key (see getStoryKey), null if none
+   * @param {Object} [details] - Extra fields for this type
+   * @returns {Promise<void>} Resolves once every sink has the event
+   */
+  function trackActivity(type, story, details = {}) {
+    const event = { type, at: Date.now(), story, ...details };
+    const sinks = [getActivityLog()];
+    const sending = canSendAnalytics();
+    if (sending) sinks.push(getCollector());
+
+    if (CONFIG.ANALYTICS_DEBUG) {
+      console.info(`[analytics] ${type}${sending ? "" : " (not sent: local only)"}`, event);
+    }
+
+    return Promise.all(sinks.map((sink) => sink.send([event])))
+      .then(() => {})
+      .catch((error) => console.warn("Could not record reading activity:", error));
+  }
+
+  /**
+   * Milliseconds the current story has been on screen, minus hidden-tab time.
+   * 
+   * @returns {number} Dwell so far
+   */
+  function getDwellTime() {
+    const running = activityState.visibleSince ? Date.now() - activityState.visibleSince : 0;
+    return activityState.dwell + running;
+  }
+
+  /**
+   * Starts timing a story shown in the modal, closing any previous one.
+   * Called next to beginReading() on open and on Previous/Next.
+   * 
+   * @param {HTMLElement} card - Story's tarot card
+   */
+  function startStoryVisit(card) {
+    const story = getStoryKey(card);
+    if (!story) return;
+
+    endStoryVisit("turn");
+    activityState.story = story;
+    activityState.dwell = 0;
+    activityState.visibleSince = document.hidden ? null : Date.now();
+    activityState.depth = 0;
+    trackActivity("modal_open", story).then(updateTrendingBadges);
+  }
+
+  /**
+   * Records how long the current story stayed open and how far it was read.
+   * Dwell is capped at CONFIG.DWELL_MAX_MS, so a forgotten tab isn't "reading".
+   * 
+   * @param {string} [reason="close"] - "close", "turn" (Previous/Next) or "pagehide"
+   */
+  function endStoryVisit(reason = "close") {
+    const { story, depth } = activityState;
+    if (!story) return;
+
+    const dwellMs = Math.min(getDwellTime(), CONFIG.DWELL_MAX_MS);
+    activityState.story = null;
+    activityState.visibleSince = null;
+    trackActivity("modal_close", story, { dwellMs, depth, reason }).then(updateTrendingBadges);
+  }
+
+  /**
+   * Sends a scroll_depth event the first time the reader passes each of
+   * CONFIG.SCROLL_DEPTH_MARKS in the current story.
+   * Called from updateReadingProgress().
+   * 
+   * @param {number} position - Scroll position (0-1)
+   */
+  function trackScrollDepth(position) {
+    const { story } = activityState;
+    if (!story) return;
+
+    const depth = Math.round(position * 100);
+    CONFIG.SCROLL_DEPTH_MARKS.forEach((mark) => {
+      if (depth >= mark && activityState.depth < mark) {
+        trackActivity("scroll_depth", story, { depth: mark });
+      }
+    });
+    activityState.depth = Math.max(activityState.depth, depth);
+  }
+
+  /**
+   * Sends a search event for the query the search overlay closed with.
+   * Queries shorter than CONFIG.SEARCH_MIN_CHARS are not searches yet.
+   * 
+   * @param {string} query - Text in the search input
+   * @param {string|null} story - Key of the picked result, null if dismissed
+   */
+  function trackSearch(query, story) {
+    const text = query.trim();
+    if (text.length < CONFIG.SEARCH_MIN_CHARS) return;
+
+    trackActivity("search", story, {
+      query: text.slice(0, CONFIG.ANALYTICS_QUERY_MAX),
+      results: searchState.results.length,
+    });
+  }
+
+  /**
+   * Sends a filter_change event when the realm, tags or tag mode differ
+   * from the last one sent. Called from applyFilters(), which also runs
+   * for unchanged filters (new cards, refresh()).
+   * 
+   * @param {number} results - Stories left visible
+   */
+  function trackFilterChange(results) {
+    const { realm, tags, tagMode } = filterState;
+    const signature = JSON.stringify([realm, tags, tagMode]);
+    if (signature === activityState.filters) return;
+
+    activityState.filters = signature;
+    trackActivity("filter_change", null, { realm, tags: [...tags], tagMode, results });
+  }
+
+  /**
+   * Reads the reader's saved consent.
+   * 
+   * @returns {boolean} True only if they turned sharing on
+   */
+  function readAnalyticsConsent() {
+    try {
+      return localStorage.getItem(CONFIG.ANALYTICS_CONSENT_KEY) === "granted";
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Saves the consent choice and syncs the footer switch.
+   * Turning it off drops anything still waiting to be sent.
+   * 
+   * @param {boolean} consent - Share reading stats with the collector
+   */
+  function setAnalyticsConsent(consent) {
+    activityState.consent = consent;
+    try {
+      localStorage.setItem(CONFIG.ANALYTICS_CONSENT_KEY, consent ? "granted" : "denied");
+    } catch (error) {
+      // Storage blocked: the choice still holds for this visit
+    }
+
+    const collector = getCollector();
+    if (!consent && collector) collector.discard();
+
+    const toggle = document.querySelector(".analytics-toggle");
+    if (toggle) toggle.setAttribute("aria-checked", String(canSendAnalytics()));
+  }
+
+  /**
+   * Sets up the collector, the consent switch and dwell timing.
+   * 
+   * CONSENT SWITCH (footer):
+   * - Hidden when no endpoint is configured (nothing is ever sent)
+   * - Disabled, with a note, under Do Not Track / Global Privacy Control
+   * 
+   * EVENT HANDLERS:
+   * 1. Switch click → save consent
+   * 2. visibilitychange → pause / resume dwell; flush the batch when hidden
+   * 3. pagehide → close the open story's visit, then flush
+   * 4. pageshow from the back/forward cache → the modal is still open,
+   *    so its story starts a new visit (pagehide ended the old one)
+   */
+  function initializeAnalytics() {
+    activityState.consent = readAnalyticsConsent();
+    activityState.filters = JSON.stringify([filterState.realm, filterState.tags, filterState.tagMode]);
+
+    const control = document.querySelector(".analytics-control");
+    const toggle = document.querySelector(".analytics-toggle");
+    if (control && toggle) {
+      control.hidden = !CONFIG.ANALYTICS_ENDPOINT;
+      toggle.setAttribute("aria-checked", String(canSendAnalytics()));
+
+      if (isDoNotTrack()) {
+        toggle.disabled = true;
+        const note = control.querySelector(".analytics-note");
+        if (note) {
+          note.hidden = false;
+          toggle.setAttribute("aria-describedby", note.id);
+        }
+      }
+
+      toggle.addEventListener("click", () => setAnalyticsConsent(!activityState.consent));
+    }
+
+    const flush = () => {
+      const collector = getCollector();
+      if (collector) collector.flush();
+    };
+
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) flush();
+      if (!activityState.story) return;
+
+      if (document.hidden) {
+        activityState.dwell = getDwellTime();
+        activityState.visibleSince = null;
+      } else {
+        activityState.visibleSince = Date.now();
+      }
+    });
+
+    window.addEventListener("pagehide", () => {
+      endStoryVisit("pagehide");
+      flush();
+    });
+
+    window.addEventListener("pageshow", (e) => {
+      if (e.persisted && modalState.isOpen && modalState.lastCard) startStoryVisit(modalState.lastCard);
+    });
+  }
+
+  /**
+   * Adds up recent activity per story, for one kind of event.
+   * 
+   * WEIGHTING:
+   * - modal_open: 1 per open; modal_close: 1 per minute of dwell;
+   *   reaction: +1 / -1
+   * - Each event's weight halves every CONFIG.TRENDING_HALF_LIFE_DAYS,
+   *   so this week's reading outranks last month's
+   * 
+   * @param {Object[]} events - From the local log
+   * @param {string} type - "modal_open" | "modal_close" | "reaction"
+   * @returns {Map<string, number>} Story key → score
+   */
+  function scoreStories(events, type) {
+    const now = Date.now();
+    const halfLife = CONFIG.TRENDING_HALF_LIFE_DAYS * 86400000;
+    const scores = new Map();
+
+    events.forEach((event) => {
+      if (!event || event.type !== type || typeof event.story !== "string") return;
+
+      let value = 1;
+      if (type === "modal_close") value = (Number(event.dwellMs) || 0) / 60000;
+      if (type === "reaction") value = event.delta < 0 ? -1 : 1;
+
+      const weight = Math.pow(0.5, Math.max(0, now - event.at) / halfLife);
+      scores.set(event.story, (scores.get(event.story) || 0) + value * weight);
+    });
+
+    return scores;
+  }
+
+  /**
+   * Picks a trending tag for each badge.
+   * 
+   * HOW IT WORKS:
+   * 1. Score every story for the badge's event type (scoreStories)
+   * 2. A tag scores the sum of its stories' scores, so tags shared by
+   *    several busy stories rise above a one-off
+   * 3. Ties (and a fresh visit with no activity) fall back to tag
+   *    frequency: the tag most stories use
+   * 4. Each badge takes the best tag not already taken by an earlier one
+   * 
+   * @param {Object[]} events - From the local log
+   * @returns {Object} Badge key → { name, count } (missing if no tag is left)
+   */
+  function pickTrendingTags(events) {
+    const cards = getAllStoryCards();
+    const picks = {};
+    const taken = new Set();
+
+    Object.entries(CONFIG.TRENDING_BADGES).forEach(([badge, type]) => {
+      const storyScores = scoreStories(events, type);
+      const tags = new Map();
+
+      cards.forEach((card) => {
+        const score = Math.max(0, storyScores.get(getStoryKey(card)) || 0);
+        new Set(getCardTags(card)).forEach((name) => {
+          const key = name.toLowerCase();
+          const entry = tags.get(key) || { name, count: 0, score: 0 };
+          entry.count += 1;
+          entry.score += score;
+          tags.set(key, entry);
+        });
+      });
+
+      const [best] = Array.from(tags.entries())
+        .filter(([key]) => !taken.has(key))
+        .sort(([, a], [, b]) => b.score - a.score || b.count - a.count || a.name.localeCompare(b.name));
+
+      if (!best) return;
+      taken.add(best[0]);
+      picks[badge] = { name: best[1].name, count: best[1].count };
+    });
+
+    return picks;
+  }
+
+  /**
+   * Points each nav badge at its trending tag.
+   * 
+   * ACCESSIBILITY:
+   * - Visible text stays "HOT" / "LORE" / "CHAOS"; the accessible name
+   *   starts with it and adds the tag ("HOT: stories tagged Moon")
+   * - A badge with no tag to show is hidden rather than left dead
+   * 
+   * @returns {Promise<void>} Resolves once the badges are updated
+   */
+  async function updateTrendingBadges() {
+    const badges = document.querySelectorAll(".nav-badge[data-trend]");
+    if (!badges.length) return;
+
+    let events = [];
+    try {
+      events = await getActivityLog().load();
+    } catch (error) {
+      console.warn("Could not read reading activity:", error);
+    }
+
+    const picks = pickTrendingTags(events);
+
+    badges.forEach((badge) => {
+      const pick = picks[badge.dataset.trend];
+      badge.hidden = !pick;
+      if (!pick) return;
+
+      const label = badge.textContent.trim();
+      const stories = `${pick.count} ${pick.count === 1 ? "story" : "stories"}`;
+      badge.dataset.tag = pick.name;
+      badge.title = `Trending: ${pick.name}`;
+      badge.setAttribute("aria-label", `${label}: stories tagged ${pick.name}, ${stories}`);
+    });
+  }
+
+  /**
+   * Sets up the trending badges.
+   * Badge click → filter to its tag (clicking it again clears the filter).
+   * They are redrawn after every open, close and reaction.
+   */
+  function initializeTrending() {
+    document.querySelectorAll(".nav-badge[data-trend]").forEach((badge) => {
+      badge.addEventListener("click", (e) => {
+        e.preventDefault();
+        const { tag } = badge.dataset;
+        if (!tag) return;
+
+        const isActive = filterState.tags.length === 1 && filterState.tags[0].toLowerCase() === tag.toLowerCase();
+        setTagFilters(isActive ? [] : [tag], "any");
+
+        const main = document.querySelector("#main-content");
+        if (main) main.scrollIntoView({ behavior: getScrollBehavior(), block: "start" });
+      });
+    });
+
+    updateTrendingBadges();
+  }
+
+  // ============================================
+  // 25) READ ALOUD
+  // ============================================
+  // Narrates the modal story's .article-body with the Web Speech API.
+  // The controls live in the modal markup (not the story), so they keep
+  // focus and settings across Previous/Next and queue page turns.
+  //
+  // HOW IT WORKS:
+  // - The body is split into sentences ("chunks"), one utterance each;
+  //   long utterances are cut off by some engines
+  // - The paragraph being read gets .is-speaking; the sentence is marked
+  //   with the CSS Custom Highlight API where supported (no DOM changes)
+  // - Pause cancels and Resume restarts the current sentence:
+  //   speechSynthesis.pause() is unreliable across browsers
+
+  /**
+   * Checks for speech synthesis support.
+   * 
+   * @returns {boolean} True if the browser can read aloud
+   */
+  function isSpeechSupported() {
+    return "speechSynthesis" in window && typeof window.SpeechSynthesisUtterance === "function";
+  }
+
+  /**
+   * Validates and retrieves the read-aloud controls.
+   * 
+   * @returns {Object|null} Object with control elements, or null if incomplete
+   */
+  function getReadAloudParts() {
+    const bar = document.querySelector(".read-aloud");
+    if (!bar) return null;
+
+    const play = bar.querySelector('[data-speech="play"]');
+    const status = bar.querySelector(".read-aloud-status");
+    const rate = bar.querySelector(".read-aloud-rate");
+    const voice = bar.querySelector(".read-aloud-voice");
+    const queue = bar.querySelector(".read-aloud-queue-input");
+
+    if (!play || !status || !rate || !voice || !queue) return null;
+
+    return { bar, play, status, rate, voice, queue };
+  }
+
+  /**
+   * Loads saved speed, voice and queue choices.
+   * Unreadable data keeps the defaults.
+   */
+  function loadSpeechSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CONFIG.SPEECH_STORAGE_KEY));
+      if (!saved || typeof saved !== "object") return;
+
+      const rate = Number(saved.rate);
+      if (rate >= 0.5 && rate <= 2) speechState.settings.rate = rate;
+      if (typeof saved.voice === "string") speechState.settings.voice = saved.voice;
+      speechState.settings.queue = saved.queue === true;
+    } catch (error) {
+      // Keep the defaults
+    }
+  }
+
+  /**
+   * Writes the speech settings back to localStorage.
+   */
+  function saveSpeechSettings() {
+    try {
+      localStorage.setItem(CONFIG.SPEECH_STORAGE_KEY, JSON.stringify(speechState.settings));
+    } catch (error) {
+      // Storage full or blocked: settings still apply for this visit
+    }
+  }
+
+  /**
+   * Fills the voice select, voices in the page language first.
+   * Voices often load after the page does, so this runs again on
+   * speechSynthesis "voiceschanged".
+   * 
+   * @param {HTMLSelectElement} select - .read-aloud-voice
+   */
+  function renderVoiceOptions(select) {
+    const lang = (document.documentElement.lang || "en").toLowerCase();
+    const matchesPage = (voice) => voice.lang.toLowerCase().startsWith(lang);
+    const voices = window.speechSynthesis
+      .getVoices()
+      .slice()
+      .sort((a, b) => Number(matchesPage(b)) - Number(matchesPage(a)) || a.name.localeCompare(b.name));
+
+    const fallback = createElement("option", "", "Default voice");
+    fallback.value = "";
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(fallback);
+
+    voices.forEach((voice) => {
+      const option = createElement("option", "", `${voice.name} (${voice.lang})`);
+      option.value = voice.voiceURI;
+      fragment.appendChild(option);
+    });
+
+    select.replaceChildren(fragment);
+    select.value = voices.some((voice) => voice.voiceURI === speechState.settings.voice)
+      ? speechState.settings.voice
+      : "";
+  }
+
+  /**
+   * Splits text into sentences.
+   * Uses Intl.Segmenter where available; otherwise splits after . ! ? …
+   * (and any closing quotes or brackets).
+   * 
+   * @param {string} text - Paragraph text
+   * @returns {{start: number, end: number}[]} Sentence offsets, whitespace trimmed
+   */
+  function splitSentences(text) {
+    let pieces;
+    if (typeof Intl !== "undefined" && typeof Intl.Segmenter === "function") {
+      const segmenter = new Intl.Segmenter(document.documentElement.lang || "en", { granularity: "sentence" });
+      pieces = Array.from(segmenter.segment(text), ({ segment, index }) => ({ start: index, end: index + segment.length }));
+    } else {
+      pieces = Array.from(text.matchAll(/[^.!?…]+(?:[.!?…]+["”’)\]]*|$)/g), (match) => ({
+        start: match.index,
+        end: match.index + match[0].length,
+      }));
+    }
+
+    return pieces
+      .map(({ start, end }) => {
+        const piece = text.slice(start, end);
+        const lead = piece.length - piece.trimStart().length;
+        return { start: start + lead, end: start + piece.trimEnd().length };
+      })
+      .filter(({ start, end }) => end > start);
+  }
+
+  /**
+   * Turns a story body into the sentences to speak, in reading order.
+   * Paragraph-like elements (CONFIG.SPEECH_BLOCKS) are read innermost
+   * first, so a <blockquote><p> is read once; a body with none is read whole.
+   * 
+   * @param {HTMLElement} body - Modal .article-body
+   * @returns {Object[]} Chunks { block, start, end, text }
+   */
+  function buildSpeechChunks(body) {
+    const candidates = Array.from(body.querySelectorAll(CONFIG.SPEECH_BLOCKS));
+    const blocks = candidates.filter((block) => !candidates.some((other) => other !== block && block.contains(other)));
+    if (!blocks.length) blocks.push(body);
+
+    return blocks.flatMap((block) => {
+      const text = block.textContent;
+      return splitSentences(text).map(({ start, end }) => ({
+        block,
+        start,
+        end,
+        text: text.slice(start, end).replace(/\s+/g, " "),
+      }));
+    });
+  }
+
+  /**
+   * Creates a Range over characters start–end of an element's text.
+   * Offsets are into textContent, which joins the text nodes in order.
+   * 
+   * @param {HTMLElement} block - Paragraph element
+   * @param {number} start - First character
+   * @param {number} end - Character after the last
+   * @returns {Range|null} Range, or null if the text changed
+   */
+  function createTextRange(block, start, end) {
+    const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    let offset = 0;
+    let started = false;
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const length = node.data.length;
+      if (!started && start <= offset + length) {
+        range.setStart(node, start - offset);
+        started = true;
+      }
+      if (started && end <= offset + length) {
+        range.setEnd(node, end - offset);
+        return range;
+      }
+      offset += length;
+    }
+    return null;
+  }
+
+  /**
+   * Marks the paragraph (class) and sentence (custom highlight) being read,
+   * and scrolls the paragraph into view.
+   * 
+   * @param {Object|null} chunk - Chunk being spoken, null to clear
+   */
+  function highlightChunk(chunk) {
+    document.querySelectorAll(`.${CONFIG.CLASSES.SPEAKING}`).forEach((block) => {
+      if (!chunk || block !== chunk.block) block.classList.remove(CONFIG.CLASSES.SPEAKING);
+    });
+
+    const canHighlight = typeof CSS !== "undefined" && CSS.highlights && typeof window.Highlight === "function";
+    if (canHighlight) CSS.highlights.delete(CONFIG.SPEECH_HIGHLIGHT);
+    if (!chunk || !chunk.block.isConnected) return;
+
+    if (!chunk.block.classList.contains(CONFIG.CLASSES.SPEAKING)) {
+      chunk.block.classList.add(CONFIG.CLASSES.SPEAKING);
+      chunk.block.scrollIntoView({ behavior: getScrollBehavior(), block: "nearest" });
+    }
+
+    const range = canHighlight ? createTextRange(chunk.block, chunk.start, chunk.end) : null;
+    if (range) CSS.highlights.set(CONFIG.SPEECH_HIGHLIGHT, new window.Highlight(range));
+  }
+
+  /**
+   * Syncs the controls with the narration state.
+   * 
+   * @param {string} [message] - Status text to announce (unchanged if omitted)
+   */
+  function updateReadAloudControls(message) {
+    const parts = getReadAloudParts();
+    if (!parts) return;
+
+    const { bar, play, status } = parts;
+    const isActive = Boolean(speechState.story);
+
+    play.textContent = speechState.playing ? "❚❚ Pause" : isActive ? "▶ Resume" : "▶ Listen";
+    bar.querySelectorAll('[data-speech="prev"], [data-speech="next"], [data-speech="stop"]').forEach((button) => {
+      button.disabled = !isActive;
+    });
+
+    if (message !== undefined) status.textContent = message;
+  }
+
+  /**
+   * Speaks the current chunk; each utterance starts the next when it ends.
+   * Callbacks from an utterance that was cancelled (pause, skip, stop)
+   * are ignored: speechState.utterance no longer points at it.
+   */
+  function speakChunk() {
+    const chunk = speechState.chunks[speechState.index];
+    if (!chunk) {
+      finishReadAloud();
+      return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(chunk.text);
+    const voice = window.speechSynthesis
+      .getVoices()
+      .find((option) => option.voiceURI === speechState.settings.voice);
+
+    utterance.rate = speechState.settings.rate;
+    utterance.lang = voice ? voice.lang : document.documentElement.lang || "en";
+    if (voice) utterance.voice = voice;
+
+    utterance.onend = () => {
+      if (speechState.utterance !== utterance) return;
+      speechState.index += 1;
+      speakChunk();
+    };
+
+    utterance.onerror = (e) => {
+      if (speechState.utterance !== utterance || e.error === "interrupted" || e.error === "canceled") return;
+      console.error("Read aloud failed:", e.error);
+      stopReadAloud("Reading aloud stopped: the voice couldn't be played.");
+    };
+
+    speechState.utterance = utterance;
+    highlightChunk(chunk);
+    window.speechSynthesis.speak(utterance);
+  }
+
+  /**
+   * Silences the current utterance without ending the session.
+   */
+  function cancelUtterance() {
+    speechState.utterance = null;
+    window.speechSynthesis.cancel();
+  }
+
+  /**
+   * Starts narrating the story in the modal.
+   * Waits for a lazily loaded body (see fillModalBody) before splitting it.
+   * 
+   * @param {HTMLElement} card - Story's tarot card (modalState.lastCard)
+   */
+  async function startReadAloud(card) {
+    const story = getStoryKey(card);
+    stopReadAloud();
+    speechState.story = story;
+    updateReadAloudControls("Preparing the story…");
+
+    try {
+      await loadArticleBody(card);
+    } catch (error) {
+      // fillModalBody already explains the failed load
+    }
+
+    const parts = getModalParts();
+    const body = parts ? parts.modalBody.querySelector('.article-body:not([aria-busy="true"])') : null;
+    if (speechState.story !== story || modalState.lastCard !== card) return;
+
+    speechState.chunks = body ? buildSpeechChunks(body) : [];
+    if (!speechState.chunks.length) {
+      stopReadAloud("There's nothing to read aloud in this story.");
+      return;
+    }
+
+    speechState.index = 0;
+    speechState.playing = true;
+    updateReadAloudControls("Reading aloud.");
+    speakChunk();
+  }
+
+  /**
+   * Play / Pause / Resume button.
+   */
+  function toggleReadAloud() {
+    const card = modalState.lastCard;
+    if (!card) return;
+
+    if (speechState.story !== getStoryKey(card)) {
+      startReadAloud(card);
+    } else if (speechState.playing) {
+      speechState.playing = false;
+      cancelUtterance();
+      updateReadAloudControls("Paused.");
+    } else if (speechState.chunks.length) {
+      speechState.playing = true;
+      updateReadAloudControls("Reading aloud.");
+      speakChunk();
+    }
+  }
+
+  /**
+   * Jumps to the start of the previous or next paragraph.
+   * Back from mid-paragraph restarts the current one first.
+   * 
+   * @param {number} direction - -1 (back) or 1 (forward)
+   */
+  function skipReadAloud(direction) {
+    const { chunks, index } = speechState;
+    const current = chunks[index];
+    if (!current) return;
+
+    const blockStart = (i) => {
+      let start = i;
+      while (start > 0 && chunks[start - 1].block === chunks[i].block) start -= 1;
+      return start;
+    };
+
+    let target;
+    if (direction > 0) {
+      target = chunks.findIndex((chunk, i) => i > index && chunk.block !== current.block);
+      if (target === -1) target = chunks.length;
+    } else {
+      const start = blockStart(index);
+      target = start < index || start === 0 ? start : blockStart(start - 1);
+    }
+
+    speechState.index = target;
+    if (speechState.playing) {
+      cancelUtterance();
+      speakChunk();
+    } else if (target >= chunks.length) {
+      finishReadAloud();
+    } else {
+      highlightChunk(chunks[target]);
+    }
+  }
+
+  /**
+   * Ends narration and clears the highlight.
+   * Called by the Stop button, closeFeaturedModalToCard() and a manual page turn.
+   * 
+   * @param {string} [message=""] - Status to announce
+   */
+  function stopReadAloud(message = "") {
+    if (!isSpeechSupported()) return;
+
+    const wasActive = Boolean(speechState.story);
+    cancelUtterance();
+    speechState.story = null;
+    speechState.chunks = [];
+    speechState.index = 0;
+    speechState.playing = false;
+    speechState.advancing = false;
+    highlightChunk(null);
+
+    if (wasActive || message) updateReadAloudControls(message);
+  }
+
+  /**
+   * Checks whether the queue can carry on to the next story: the next
+   * visible card in the same section (or, at the end of Latest, a story
+   * still to be summoned).
+   * 
+   * @returns {boolean} True if showAdjacentStory(1) stays in the section
+   */
+  function hasNextInSection() {
+    const card = modalState.lastCard;
+    if (!card) return false;
+
+    const order = getStoryOrder();
+    const next = order[order.indexOf(card) + 1];
+    if (!next) return hasMoreLatest();
+
+    return next.closest("section") === card.closest("section");
+  }
+
+  /**
+   * Story finished: in queue mode, turn to the next story in the section
+   * (syncReadAloudStory() picks it up); otherwise stop.
+   */
+  function finishReadAloud() {
+    if (speechState.settings.queue && hasNextInSection() && !modalState.isAnimating) {
+      cancelUtterance();
+      speechState.advancing = true;
+      speechState.playing = false;
+      highlightChunk(null);
+      showAdjacentStory(1);
+      return;
+    }
+
+    stopReadAloud("Finished reading.");
+  }
+
+  /**
+   * Hook for fillModalBody(): a new story is in the modal.
+   * A queue turn starts reading it; any other story change stops the
+   * narration of the previous one.
+   * 
+   * @param {HTMLElement} card - Story's tarot card
+   */
+  function syncReadAloudStory(card) {
+    if (!isSpeechSupported()) return;
+
+    if (speechState.advancing) {
+      speechState.advancing = false;
+      startReadAloud(card);
+    } else if (speechState.story && speechState.story !== getStoryKey(card)) {
+      stopReadAloud();
+    }
+  }
+
+  /**
+   * Sets up the read-aloud controls.
+   * 
+   * EVENT HANDLERS:
+   * 1. Play/Pause, Previous/Next paragraph, Stop
+   * 2. Speed / voice change → saved; restarts the current sentence
+   * 3. Queue checkbox → saved
+   * 4. voiceschanged → refill the voice list
+   * 5. pagehide → silence speech (some browsers keep talking after navigation)
+   */
+  function initializeReadAloud() {
+    const parts = getReadAloudParts();
+    if (!parts || !isSpeechSupported()) return;
+
+    const { bar, rate, voice, queue } = parts;
+    loadSpeechSettings();
+
+    bar.hidden = false;
+    rate.value = String(speechState.settings.rate);
+    if (!rate.value) {
+      rate.value = "1";
+      speechState.settings.rate = 1;
+    }
+    queue.checked = speechState.settings.queue;
+    renderVoiceOptions(voice);
+    updateReadAloudControls("");
+
+    bar.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-speech]");
+      if (!button) return;
+
+      const action = button.dataset.speech;
+      if (action === "play") toggleReadAloud();
+      if (action === "prev") skipReadAloud(-1);
+      if (action === "next") skipReadAloud(1);
+      if (action === "stop") stopReadAloud("Stopped.");
+    });
+
+    const applySetting = () => {
+      speechState.settings.rate = Number(rate.value) || 1;
+      speechState.settings.voice = voice.value;
+      speechState.settings.queue = queue.checked;
+      saveSpeechSettings();
+    };
+
+    [rate, voice].forEach((select) => {
+      select.addEventListener("change", () => {
+        applySetting();
+        if (speechState.playing) {
+          cancelUtterance();
+          speakChunk();
+        }
+      });
+    });
+
+    queue.addEventListener("change", applySetting);
+
+    // Older Safari only has the onvoiceschanged property
+    if (typeof window.speechSynthesis.addEventListener === "function") {
+      window.speechSynthesis.addEventListener("voiceschanged", () => renderVoiceOptions(voice));
+    } else {
+      window.speechSynthesis.onvoiceschanged = () => renderVoiceOptions(voice);
+    }
+    window.addEventListener("pagehide", () => stopReadAloud());
+  }
+
+  // ============================================
+  // 26) PRINT & EXPORT
+  // ============================================
+  // "Export / Print" (one story) and "Print all Featured" from the share
+  // bar. Both build a clean layout in #print-view and switch the page into
+  // print mode with <html data-print="story" | "featured">; print.css then
+  // hides everything else. Save as PDF comes from the browser's print
+  // dialog, so no PDF library is needed.
+  //
+  // Printing from the browser menu (Ctrl+P) while a story is open prints
+  // that story the same way; with no story open, print.css lays out the
+  // page itself.
+
+  /**
+   * Builds the printable copy of one story from its card's back face.
+   * 
+   * LAYOUT:
+   * - Site name, title, byline (author · date · category)
+   * - Image, then the body (the excerpt if the body couldn't be loaded)
+   * - Footer with the canonical ?story= link, printed in full
+   *   (a link can't be clicked on paper)
+   * 
+   * @param {HTMLElement} card - Tarot card of the story
+   * @param {string} headingTag - "h1" for one story, "h2" in a compilation
+   * @returns {HTMLElement} article.print-story
+   */
+  function buildPrintStory(card, headingTag) {
+    const details = getShareDetails(card);
+    const back = card.querySelector(".tarot-card-back");
+    const story = createElement("article", "print-story");
+
+    const header = createElement("header", "print-story-header");
+    header.appendChild(createElement("p", "print-site", CONFIG.SITE_NAME));
+    header.appendChild(createElement(headingTag, "print-title", details.title));
+
+    const byline = [
+      details.author && `By ${details.author}`,
+      details.date && formatArticleDate(details.date),
+      getCardCategory(card),
+    ].filter(Boolean);
+    if (byline.length) header.appendChild(createElement("p", "print-byline", byline.join(" · ")));
+    story.appendChild(header);
+
+    const image = back && back.querySelector(".article-image");
+    if (image) {
+      const copy = createElement("img", "print-image");
+      copy.src = image.getAttribute("src");
+      copy.alt = image.alt;
+      story.appendChild(copy);
+    }
+
+    const body = back && back.querySelector(".article-body");
+    const content = createElement("div", "print-body");
+    if (body && body.children.length) {
+      content.innerHTML = body.innerHTML;
+      // The modal may hold the same story: keep ids unique on the page
+      content.querySelectorAll("[id]").forEach((element) => element.removeAttribute("id"));
+    } else {
+      const excerpt = back && back.querySelector(".article-excerpt");
+      content.appendChild(createElement("p", "print-excerpt", excerpt ? excerpt.textContent : ""));
+    }
+    story.appendChild(content);
+
+    const footer = createElement("footer", "print-footer");
+    const line = createElement("p", "", "Read online: ");
+    const link = createElement("a", "", details.url);
+    link.href = details.url;
+    line.appendChild(link);
+    footer.appendChild(line);
+    story.appendChild(footer);
+
+    return story;
+  }
+
+  /**
+   * Fills #print-view and switches the page into print mode.
+   * Synchronous, so beforeprint (Ctrl+P) can use it too: the browser
+   * lays the page out as soon as that event returns.
+   * 
+   * @param {HTMLElement[]} cards - Stories to print, in order
+   * @param {string} mode - "story" | "featured" (html[data-print] value)
+   * @returns {HTMLElement|null} The filled view, or null if it is missing
+   */
+  function renderPrintView(cards, mode) {
+    const view = document.querySelector(CONFIG.PRINT_VIEW_ID);
+    if (!view) return null;
+
+    view.replaceChildren();
+
+    if (mode === "featured") {
+      const cover = createElement("header", "print-cover");
+      cover.appendChild(createElement("p", "print-site", CONFIG.SITE_NAME));
+      cover.appendChild(createElement("h1", "print-title", "Featured stories"));
+      const printed = new Date().toISOString().slice(0, 10);
+      const count = `${cards.length} ${cards.length === 1 ? "story" : "stories"}`;
+      cover.appendChild(createElement("p", "print-byline", `Printed ${formatArticleDate(printed)} · ${count}`));
+      view.appendChild(cover);
+    }
+
+    cards.forEach((card) => view.appendChild(buildPrintStory(card, mode === "featured" ? "h2" : "h1")));
+
+    // The print dialog suggests the document title as the PDF file name
+    if (printState.title === null) printState.title = document.title;
+    document.title = mode === "featured"
+      ? `${CONFIG.SITE_NAME} - Featured stories`
+      : `${getShareDetails(cards[0]).title} - ${CONFIG.SITE_NAME}`;
+
+    document.documentElement.dataset.print = mode;
+    return view;
+  }
+
+  /**
+   * Undoes renderPrintView() once printing is over (afterprint).
+   */
+  function clearPrintView() {
+    const view = document.querySelector(CONFIG.PRINT_VIEW_ID);
+    if (view) view.replaceChildren();
+
+    delete document.documentElement.dataset.print;
+    if (printState.title !== null) {
+      document.title = printState.title;
+      printState.title = null;
+    }
+  }
+
+  /**
+   * Waits for the print view's images, so they aren't missing from the
+   * page. A slow or broken image stops holding up the dialog after
+   * CONFIG.PRINT_IMAGE_WAIT_MS.
+   * 
+   * @param {HTMLElement} view - #print-view
+   * @returns {Promise<void>}
+   */
+  function waitForPrintImages(view) {
+    const images = Array.from(view.querySelectorAll("img"), (image) => {
+      if (image.complete) return Promise.resolve();
+      return new Promise((resolve) => {
+        image.addEventListener("load", resolve, { once: true });
+        image.addEventListener("error", resolve, { once: true });
+      });
+    });
+
+    const timeout = new Promise((resolve) => setTimeout(resolve, CONFIG.PRINT_IMAGE_WAIT_MS));
+    return Promise.race([Promise.all(images), timeout]).then(() => {});
+  }
+
+  /**
+   * Prints one story or a compilation.
+   * 
+   * FLOW:
+   * 1. Fetch any story bodies that haven't been loaded yet
+   * 2. Build #print-view and set html[data-print]
+   * 3. Wait for the images, then open the print dialog
+   * 4. afterprint puts the page back (see initializePrint)
+   * 
+   * @param {HTMLElement[]} cards - Stories to print, in order
+   * @param {string} mode - "story" | "featured"
+   */
+  async function printStories(cards, mode) {
+    if (printState.preparing || !cards.length) return;
+    printState.preparing = true;
+    showToast(mode === "featured" ? "Gathering the Featured stories…" : "Preparing the print layout…");
+
+    try {
+      // A body that fails to load prints its excerpt instead
+      await Promise.all(cards.map((card) => loadArticleBody(card).catch(() => {})));
+
+      const view = renderPrintView(cards, mode);
+      if (!view) return;
+
+      await waitForPrintImages(view);
+      window.print();
+    } catch (error) {
+      console.error("Could not print:", error);
+      clearPrintView();
+      showToast("Printing isn't available in this browser.");
+    } finally {
+      printState.preparing = false;
+    }
+  }
+
+  /**
+   * Lists the Featured stories in their on-page order.
+   * Realm and tag filters are ignored: the compilation is the whole section.
+   * 
+   * @returns {HTMLElement[]} Featured tarot cards
+   */
+  function getFeaturedCards() {
+    return Array.from(document.querySelectorAll(`${CONFIG.FEED_GRIDS.featured} .tarot-card`));
+  }
+
+  /**
+   * Keeps browser-menu printing in step with the print view.
+   * 
+   * EVENT HANDLERS:
+   * - beforeprint: nothing prepared but a story is open → print that story
+   * - afterprint: clear the view and restore the page (also after Cancel)
+   */
+  function initializePrint() {
+    window.addEventListener("beforeprint", () => {
+      if (document.documentElement.dataset.print) return;
+      if (modalState.isOpen && modalState.lastCard) renderPrintView([modalState.lastCard], "story");
+    });
+
+    window.addEventListener("afterprint", clearPrintView);
+  }
+
+  // ============================================
+  // 27) STORY METADATA (STRUCTURED DATA + SOCIAL TAGS)
+  // ============================================
+  // Keeps <head> in step with the story in the modal, so a crawler that
+  // runs JavaScript on a ?story= link (or a reader bookmarking it) sees
+  // that story rather than the generic page:
+  // - document title, meta description and canonical link
+  // - Open Graph and Twitter card tags
+  // - schema.org JSON-LD: the site's Organization always, plus a
+  //   NewsArticle for the open story
+  // Closing the modal puts the page's own values back. Crawlers that don't
+  // run JavaScript get the same tags from the static story pages written
+  // by scripts/build-stories.js.
+  //
+  // ONE CANONICAL PER STORY:
+  // - The static page (stories/<slug>.html) is the story's canonical URL,
+  //   og:url and JSON-LD url, here and in the page itself: preview bots
+  //   re-fetch og:url, and only the static page has the tags without JS
+
+  /**
+   * Collects the metadata for a story from its card.
+   * Keywords come from the card's .tag chips, the same list readers see.
+   * 
+   * @param {HTMLElement} card - Tarot card of the story
+   * @returns {Object} { title, description, author, date, category, tags, url, image, imageAlt }
+   */
+  function getStoryMetadata(card) {
+    const details = getShareDetails(card);
+    const slug = card.dataset.slug;
+    const article = findArticleByStory(getStoryKey(card)) || {};
+    const excerpt = card.querySelector(".tarot-card-back .article-excerpt");
+    const image = card.querySelector(".tarot-card-back .article-image");
+
+    return {
+      title: details.title,
+      description: article.excerpt || (excerpt ? excerpt.textContent.trim() : ""),
+      author: details.author,
+      date: details.date,
+      category: getCardCategory(card),
+      tags: getCardTags(card),
+      // A card without a slug (added by another script) has no static page
+      url: slug
+        ? new URL(`${CONFIG.STORY_PAGES_DIR}${encodeURIComponent(slug)}.html`, new URL("./", window.location.href)).href
+        : details.url,
+      image: details.image ? new URL(details.image, window.location.href).href : "",
+      imageAlt: image ? image.alt : "",
+    };
+  }
+
+  /**
+   * The site's schema.org Organization (publisher of every story).
+   * 
+   * @returns {Object} JSON-LD node
+   */
+  function buildOrganizationData() {
+    const home = new URL("./", window.location.href).href;
+    return {
+      "@type": "Organization",
+      "@id": `${home}#organization`,
+      name: CONFIG.SITE_NAME,
+      url: home,
+      logo: new URL(CONFIG.SITE_LOGO, home).href,
+    };
+  }
+
+  /**
+   * A story as a schema.org NewsArticle.
+   * 
+   * @param {Object} meta - From getStoryMetadata()
+   * @param {Object} organization - From buildOrganizationData()
+   * @returns {Object} JSON-LD node
+   */
+  function buildNewsArticleData(meta, organization) {
+    const data = {
+      "@type": "NewsArticle",
+      headline: meta.title,
+      description: meta.description,
+      url: meta.url,
+      mainEntityOfPage: meta.url,
+      publisher: { "@id": organization["@id"] },
+    };
+    if (meta.author) data.author = { "@type": "Person", name: meta.author };
+    if (meta.date) data.datePublished = meta.date;
+    if (meta.image) data.image = [meta.image];
+    if (meta.category) data.articleSection = meta.category;
+    if (meta.tags.length) data.keywords = meta.tags.join(", ");
+    return data;
+  }
+
+  /**
+   * Replaces the page's JSON-LD block (created on first use).
+   * textContent is never parsed as HTML, so a "</script>" in a title
+   * can't end the block early.
+   * 
+   * @param {Object[]} nodes - JSON-LD nodes for the @graph
+   */
+  function writeStructuredData(nodes) {
+    let script = document.getElementById(CONFIG.STRUCTURED_DATA_ID);
+    if (!script) {
+      script = createElement("script");
+      script.type = "application/ld+json";
+      script.id = CONFIG.STRUCTURED_DATA_ID;
+      document.head.appendChild(script);
+    }
+    script.textContent = JSON.stringify({ "@context": "https://schema.org", "@graph": nodes });
+  }
+
+  /**
+   * Sets one <meta> tag, creating it if the page doesn't have it.
+   * The first change to each tag records what the page had, so
+   * restoreSiteMetadata() can put it back (or remove a tag it added).
+   * 
+   * @param {string} attribute - "name" or "property"
+   * @param {string} key - e.g. "description", "og:title"
+   * @param {string} content - New value ("" removes the tag)
+   */
+  function setMetaTag(attribute, key, content) {
+    const id = `${attribute}=${key}`;
+    let meta = document.head.querySelector(`meta[${attribute}="${key}"]`);
+
+    if (!metaState.defaults.has(id)) {
+      metaState.defaults.set(id, meta ? meta.getAttribute("content") : null);
+    }
+
+    if (!content) {
+      if (meta) meta.remove();
+      return;
+    }
+
+    if (!meta) {
+      meta = createElement("meta");
+      meta.setAttribute(attribute, key);
+      document.head.appendChild(meta);
+    }
+    meta.setAttribute("content", content);
+  }
+
+  /**
+   * Replaces the open story's article:tag <meta> tags (one per tag).
+   * Unlike setMetaTag() the key repeats, so the tags this section added
+   * are removed and rebuilt; index.html has none of its own.
+   * 
+   * @param {string[]} tags - Tag names ([] removes them)
+   */
+  function setArticleTags(tags) {
+    metaState.tags.forEach((meta) => meta.remove());
+    metaState.tags = tags.map((tag) => {
+      const meta = createElement("meta");
+      meta.setAttribute("property", "article:tag");
+      meta.setAttribute("content", tag);
+      document.head.appendChild(meta);
+      return meta;
+    });
+  }
+
+  /**
+   * Points <head> at a story.
+   * Called when the modal opens (deep link or click) and on Previous/Next.
+   * 
+   * @param {HTMLElement} card - Story now shown in the modal
+   */
+  function applyStoryMetadata(card) {
+    const meta = getStoryMetadata(card);
+    const organization = buildOrganizationData();
+
+    if (metaState.title === null) metaState.title = document.title;
+    document.title = `${meta.title} - ${CONFIG.SITE_NAME}`;
+
+    let canonical = document.head.querySelector('link[rel="canonical"]');
+    if (metaState.canonical === undefined) metaState.canonical = canonical ? canonical.href : null;
+    if (!canonical) {
+      canonical = createElement("link");
+      canonical.rel = "canonical";
+      document.head.appendChild(canonical);
+    }
+    canonical.href = meta.url;
+
+    setMetaTag("name", "description", meta.description);
+    setMetaTag("property", "og:type", "article");
+    setMetaTag("property", "og:title", meta.title);
+    setMetaTag("property", "og:description", meta.description);
+    setMetaTag("property", "og:url", meta.url);
+    setMetaTag("property", "og:image", meta.image);
+    setMetaTag("property", "og:image:alt", meta.imageAlt);
+    setMetaTag("property", "article:published_time", meta.date);
+    setMetaTag("property", "article:author", meta.author);
+    setMetaTag("property", "article:section", meta.category);
+    setMetaTag("name", "twitter:card", meta.image ? "summary_large_image" : "summary");
+    setMetaTag("name", "twitter:title", meta.title);
+    setMetaTag("name", "twitter:description", meta.description);
+    setMetaTag("name", "twitter:image", meta.image);
+    setMetaTag("name", "twitter:image:alt", meta.imageAlt);
+    setArticleTags(meta.tags);
+
+    writeStructuredData([organization, buildNewsArticleData(meta, organization)]);
+  }
+
+  /**
+   * Puts back the page's own title, tags and structured data
+   * (modal closed).
+   */
+  function restoreSiteMetadata() {
+    if (metaState.title !== null) {
+      document.title = metaState.title;
+      metaState.title = null;
+    }
+
+    if (metaState.canonical !== undefined) {
+      const canonical = document.head.querySelector('link[rel="canonical"]');
+      if (metaState.canonical === null) {
+        if (canonical) canonical.remove();
+      } else if (canonical) {
+        canonical.href = metaState.canonical;
+      }
+      metaState.canonical = undefined;
+    }
+
+    metaState.defaults.forEach((content, id) => {
+      const [attribute, key] = id.split("=");
+      const meta = document.head.querySelector(`meta[${attribute}="${key}"]`);
+      if (content === null) {
+        if (meta) meta.remove();
+      } else if (meta) {
+        meta.setAttribute("content", content);
+      } else {
+        setMetaTag(attribute, key, content);
+      }
+    });
+    metaState.defaults.clear();
+    setArticleTags([]);
+
+    writeStructuredData([buildOrganizationData()]);
+  }
+
+  /**
+   * Adds the Organization JSON-LD for the page itself.
+   * Runs before deep links, which may immediately apply a story.
+   */
+  function initializeStoryMetadata() {
+    writeStructuredData([buildOrganizationData()]);
+  }
+
+  // ============================================
+  // 28) INITIALIZATION
+  // ============================================
+  // Orchestrates initialization of all interactive features.
+
+  /**
+   * Master initialization function.
+   * Calls all feature initialization functions in order.
+   * 
+   * ORDER:
+   * 0. Theme (re-checks what theme-boot.js applied) + motion preference
+   *    (before anything animates) + analytics consent (before anything is tracked)
+   * 1. Article feed (cards must exist before anything queries them),
+   *    then the sort control + "New" badges
+   * 2. Tarot deck images (visual enhancement, loads in the background)
+   * 3. Delegated interactions: ripples, card flip/open, "Summon more stories"
+   *    (on the document and grids, so later cards need no setup)
+   * 4. Modal + story navigation + share bar + tavern talk + read aloud + print
+   *    + story metadata + reading state + trending badges (read the rendered tags)
+   * 5. Hamburger menu (independent feature)
+   * 6. Search (reads the rendered cards when opened) + subscribe dialog
+   * 7. Category + tag filters (apply #realm before deep links run)
+   * 8. Deep links (opens ?story= once cards, modal and filter are ready)
+   * 9. Service worker (after load, so it never delays the page)
+   * 10. window.OceanRiches (once everything it drives is ready)
+   * 
+   * A failed feed load is reported in the grids; the rest of the page
+   * (navigation, modal wiring) still initializes.
+   */
+  async function initializeAll() {
+    initializeTheme();
+    initializeMotionPreference();
+    initializeAnalytics();
+
+    try {
+      renderArticles(await loadArticles());
+    } catch (error) {
+      console.error("Could not load articles.json:", error);
+      showFeedError();
+    }
+
+    initializeStorySorting();
+    assignTarotImages();
+    initializeInteractions();
     initializeFeaturedModal();
+    initializeModalStoryNav();
+    initializeShare();
+    initializeTavernTalk();
+    initializeReadAloud();
+    initializePrint();
+    initializeStoryMetadata();
+    initializeReadingState();
+    initializeTrending();
     initializeHamburgerMenu();
+    initializeSearch();
+    initializeSubscribe();
+    initializeCategoryFilter();
+    initializeTagFilters();
+    initializeDeepLinks();
+    registerServiceWorker();
+    exposePublicApi();
   }
 
   // ===== DOM READY HANDLER =====
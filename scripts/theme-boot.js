@@ -0,0 +1,77 @@
+/* ============================================
+   theme-boot.js
+   Applies the colour theme before the page paints.
+   Loaded (blocking, no defer) from <head> so <html data-theme> is set
+   before styles.css first renders; otherwise a reader who picked Light
+   would see a flash of the Abyssal palette on every visit.
+   ============================================
+
+   Keep in sync with scripts/script.js (section 21, THEMES), which takes
+   over once the page loads: same storage key, same priority, same
+   header/footer art pinning (applyThemeArt).
+
+   PRIORITY:
+   1. Saved choice ("light" | "abyssal" | "contrast")
+   2. OS prefers-contrast: more → "contrast"
+   3. OS prefers-color-scheme: light → "light"
+   4. "abyssal" (the site's original palette)
+
+   THEME ART:
+   The header/footer <picture> sources pick their art with OS media
+   queries. With a saved choice that differs from the OS, the browser
+   would load the OS art first and swap it later (a flash plus a second
+   download). A MutationObserver pins each <source data-theme-art> as the
+   parser adds it, before its <img> selects a source: the matching
+   source gets media="all", the others "not all".
+
+   ============================================ */
+
+(function () {
+  "use strict";
+
+  const STORAGE_KEY = "oceanriches:theme";
+  const THEMES = ["light", "abyssal", "contrast"];
+
+  let saved = null;
+  try {
+    saved = localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    // Storage unavailable: fall back to the OS setting
+  }
+
+  const matches = (query) =>
+    typeof window.matchMedia === "function" && window.matchMedia(query).matches;
+
+  let theme = "abyssal";
+  if (THEMES.includes(saved)) {
+    theme = saved;
+  } else if (matches("(prefers-contrast: more)")) {
+    theme = "contrast";
+  } else if (matches("(prefers-color-scheme: light)")) {
+    theme = "light";
+  }
+
+  document.documentElement.dataset.theme = theme;
+
+  // No saved choice: the sources' OS media queries already match the theme
+  if (!THEMES.includes(saved) || typeof MutationObserver !== "function") return;
+
+  const pin = (source) => {
+    if (source.dataset.systemMedia === undefined) source.dataset.systemMedia = source.media;
+    source.media = source.dataset.themeArt === theme ? "all" : "not all";
+  };
+
+  const observer = new MutationObserver((records) => {
+    records.forEach((record) => {
+      record.addedNodes.forEach((node) => {
+        if (node.nodeType !== 1) return;
+        if (node.matches("source[data-theme-art]")) pin(node);
+        node.querySelectorAll("source[data-theme-art]").forEach(pin);
+      });
+    });
+  });
+  observer.observe(document.documentElement, { childList: true, subtree: true });
+
+  // script.js takes over from here
+  document.addEventListener("DOMContentLoaded", () => observer.disconnect(), { once: true });
+})();
@@ -0,0 +1,217 @@
+/* ============================================
+   sw.js
+   Service worker for OceanRiches.
+   Precaches the page shell so the site opens offline, then serves
+   content stale-while-revalidate.
+   ============================================
+
+   TABLE OF CONTENTS:
+
+   1. CONFIGURATION
+      - Cache names and the precached shell
+      - Runtime (cross-origin) hosts
+
+   2. PRECACHE
+      - listFeedAssets() - Story bodies and images named by the JSON files
+      - install handler
+
+   3. CACHE CLEANUP
+      - activate handler
+
+   4. FETCH STRATEGY
+      - staleWhileRevalidate() - Cached copy now, fresh copy for next time
+      - fetch handler
+
+   Registered by scripts/script.js (section 18). It must live at the site
+   root: a service worker only controls pages at or below its own folder.
+
+   ============================================ */
+
+"use strict";
+
+// ============================================
+// 1) CONFIGURATION
+// ============================================
+
+// Bump when the shell changes; the old cache is removed on activate.
+const CACHE_VERSION = "v4";
+const SHELL_CACHE = `oceanriches-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `oceanriches-runtime-${CACHE_VERSION}`;
+
+const OFFLINE_URL = "offline.html";
+const ARTICLES_URL = "articles.json";
+const TAROT_DECK_URL = "assets/images/tarot-cards/deck.json";
+const TAROT_DIR = "assets/images/tarot-cards/";
+
+// Page shell: everything index.html needs before any story loads.
+const SHELL_ASSETS = [
+  "./",
+  "index.html",
+  OFFLINE_URL,
+  "site.webmanifest",
+
+  // ===== STYLES + SCRIPT =====
+  "styles/normalize-ssd.css",
+  "styles/styles.css",
+  "styles/responsive.css",
+  "styles/print.css",
+  "scripts/theme-boot.js",
+  "scripts/script.js",
+
+  // ===== ICONS =====
+  "favicon.svg",
+  "favicon.ico",
+  "favicon-96x96.png",
+  "apple-touch-icon.png",
+  "web-app-manifest-192x192.png",
+  "web-app-manifest-512x512.png",
+
+  // ===== HEADER + FOOTER SRCSET IMAGES (every theme's art) =====
+  ...[400, 600, 800, 1000, 1200, 1600, 2000].flatMap((width) => [
+    ...["", "-light", "-contrast"].map((art) => `assets/images/header/header-background${art}-${width}w.webp`),
+    ...["", "-abyssal", "-contrast"].map((art) => `assets/images/footer/footer_background${art}-${width}w.webp`),
+  ]),
+  ...[400, 600, 800, 1000, 1200].map((width) => `assets/images/header/logo-${width}w.webp`),
+
+  // ===== CONTENT =====
+  ARTICLES_URL,
+  TAROT_DECK_URL,
+  "assets/images/placeholder-article.jpg",
+];
+
+// Cross-origin hosts worth keeping offline (web fonts).
+const RUNTIME_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+// ============================================
+// 2) PRECACHE
+// ============================================
+
+/**
+ * Reads the feed and the tarot deck to list their files: story bodies
+ * (articles/<slug>.html) and images. The JSON files stay the single
+ * source of truth, so adding a story or a card never means editing
+ * this worker.
+ *
+ * @returns {Promise<string[]>} File URLs (relative to the site root)
+ */
+async function listFeedAssets() {
+  const [articles, deck] = await Promise.all(
+    [ARTICLES_URL, TAROT_DECK_URL].map((url) =>
+      fetch(url).then((response) => (response.ok ? response.json() : {}))
+    )
+  );
+
+  const articleFiles = (articles.articles || [])
+    .flatMap((article) => [article.bodyUrl, article.image && article.image.src])
+    .filter(Boolean);
+  const tarotImages = (deck.cards || []).map((card) => `${TAROT_DIR}${card.file}`);
+
+  return [...new Set([...articleFiles, ...tarotImages])];
+}
+
+// Install: cache the shell, then the feed's bodies and images.
+// A missing shell file fails the install (the old worker stays in charge);
+// a missing feed file is only logged, so one broken card can't block offline use.
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(SHELL_ASSETS);
+
+      const feedAssets = await listFeedAssets();
+      await Promise.all(
+        feedAssets.map((url) =>
+          cache.add(url).catch((error) => console.warn(`Not precached: ${url}`, error))
+        )
+      );
+
+      await self.skipWaiting();
+    })()
+  );
+});
+
+// ============================================
+// 3) CACHE CLEANUP
+// ============================================
+
+// Activate: drop caches from older versions and take over open pages.
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keep = [SHELL_CACHE, RUNTIME_CACHE];
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name.startsWith("oceanriches-") && !keep.includes(name))
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+// ============================================
+// 4) FETCH STRATEGY
+// ============================================
+
+/**
+ * Stale-while-revalidate: answers from the cache when it can and
+ * refreshes the cached copy from the network in the background.
+ *
+ * FLOW:
+ * 1. Start a network fetch (updates the cache when it succeeds)
+ * 2. Cached copy found → return it now, network result lands next visit
+ * 3. Nothing cached → wait for the network
+ * 4. Network failed too → offline page (navigations) or the error
+ *
+ * WHY ignoreSearch FOR PAGES:
+ * - Story links (index.html?story=moon-measure) all load the same shell
+ *
+ * @param {FetchEvent} event - Intercepted request
+ * @param {string} cacheName - Cache to read and refresh
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const isPage = request.mode === "navigate";
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: isPage });
+
+  const network = fetch(request).then((response) => {
+    // Opaque (cross-origin font) responses report status 0 but are usable
+    if (response.ok || response.type === "opaque") {
+      cache.put(isPage ? new URL(request.url).pathname : request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    // Keep the worker alive until the refresh is stored
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  try {
+    return await network;
+  } catch (error) {
+    if (isPage) {
+      const offline = await caches.match(OFFLINE_URL);
+      if (offline) return offline;
+    }
+    throw error;
+  }
+}
+
+// Fetch: site files and web fonts go through stale-while-revalidate;
+// everything else (other origins, non-GET) is left to the browser.
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+  } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+  }
+});